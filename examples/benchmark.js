@@ -0,0 +1,99 @@
+/**
+ * Large dataset benchmark for alphaswarm charts
+ *
+ * Renders up to 250,000 generated points with the chosen dot renderer and
+ * times the first render and every slider update, both until the chart is
+ * built and until the browser has painted it.
+ */
+
+import * as d3 from 'd3';
+import { AlphaswarmChart } from '../src/alphaswarm.js';
+
+const CATEGORIES = ['Build', 'Unit tests', 'Integration tests', 'Deploy', 'Smoke tests'];
+
+let chart = null;
+let data = null;
+
+/**
+ * Generate durations for a number of pipeline runs, seeded so every run of
+ * the benchmark draws the same points
+ * @param {number} count - Number of points
+ * @returns {Array} Array of data objects
+ */
+function generateData(count) {
+    const source = d3.randomLcg(42);
+    const normal = d3.randomNormal.source(source);
+    const generators = CATEGORIES.map((category, i) => normal(20 + i * 8, 4 + i));
+    return d3.range(count).map(i => {
+        const index = i % CATEGORIES.length;
+        return { category: CATEGORIES[index], value: Math.max(0, generators[index]()) };
+    });
+}
+
+/**
+ * Wait until the browser has painted the current frame
+ * @returns {Promise} Resolves after the next paint
+ */
+function nextPaint() {
+    return new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve)));
+}
+
+/**
+ * Time a change to the chart, until it is built and until it is painted
+ * @param {string} action - Description of the change
+ * @param {Function} change - Builds or updates the chart
+ */
+async function measure(action, change) {
+    const start = performance.now();
+    change();
+    const built = performance.now();
+    await nextPaint();
+    const painted = performance.now();
+
+    const row = d3.select('#results').insert('tr', ':first-child');
+    [action, data.length.toLocaleString(), chart.element.renderer, (built - start).toFixed(0), (painted - start).toFixed(0)]
+        .forEach(value => row.append('td').text(value));
+}
+
+/**
+ * Render a new chart with the selected point count and renderer
+ */
+async function run() {
+    const count = +document.getElementById('points').value;
+    const renderer = document.getElementById('renderer').value;
+    if (!data || data.length !== count) data = generateData(count);
+
+    const container = document.getElementById('chart');
+    container.replaceChildren();
+    await measure('Render', () => {
+        chart = new AlphaswarmChart(data, {
+            renderer,
+            width: 1000,
+            height: 500,
+            marginLeft: 130,
+            pointRadius: 2,
+            opacity: +document.getElementById('opacity').value,
+            jitter: +document.getElementById('jitter').value,
+            showIQR: true,
+            xLabel: 'Duration (s)'
+        });
+        container.appendChild(chart.element);
+    });
+}
+
+/**
+ * Update the chart as a slider moves, timing each update
+ * @param {string} id - Slider id, also the option it sets
+ */
+function bindSlider(id) {
+    const slider = document.getElementById(id);
+    slider.addEventListener('input', async () => {
+        document.getElementById(`${id}-value`).textContent = slider.value;
+        if (chart) await measure(`Update ${id}`, () => chart.update({ [id]: +slider.value }));
+    });
+}
+
+document.getElementById('run').addEventListener('click', run);
+bindSlider('opacity');
+bindSlider('jitter');
+run();
@@ -7,80 +7,1657 @@
  * Based on Observable Plot and inspired by swarm plots and beeswarm charts.
  */
 
-// Use globally available Plot and d3 (loaded via CDN)
-const Plot = window.Plot;
-const d3 = window.d3;
+import * as Plot from '@observablehq/plot';
+import * as d3 from 'd3';
+import {
+    calculateStats,
+    quantile,
+    tukeyWhiskers,
+    detectOutliers,
+    meanConfidenceInterval,
+    bootstrapConfidenceInterval,
+    kernelBandwidth,
+    kernelDensity,
+    welchTTest,
+    mannWhitneyU,
+    permutationTest,
+    adjustPValues,
+    compareGroups,
+    resolveWeightType
+} from './stats.js';
+import { animateTransition, chartSvg, KEY_ATTRIBUTE } from './transitions.js';
+import { attachSelection } from './selection.js';
+import { linkCharts } from './linking.js';
+import { staticRenderers, serializeChart, rasterizeSvg } from './static.js';
+import { exportSvg, exportPng, exportData, downloadChart, attachToolbar } from './export.js';
+import { loadData, coerceRows, inferSchema } from './loaders.js';
+import { validateData, AlphaswarmDataError } from './validation.js';
+
+export {
+    calculateStats,
+    quantile,
+    tukeyWhiskers,
+    detectOutliers,
+    meanConfidenceInterval,
+    bootstrapConfidenceInterval,
+    kernelBandwidth,
+    kernelDensity,
+    welchTTest,
+    mannWhitneyU,
+    permutationTest,
+    adjustPValues,
+    compareGroups,
+    linkCharts,
+    serializeChart,
+    rasterizeSvg,
+    exportSvg,
+    exportPng,
+    exportData,
+    downloadChart,
+    attachToolbar,
+    loadData,
+    coerceRows,
+    inferSchema,
+    validateData,
+    AlphaswarmDataError
+};
+
+/**
+ * Create a detached element like d3.create, but in the given document rather
+ * than the global one, so that charts can render against jsdom in Node
+ * @param {string} name - Element name, with an optional namespace prefix
+ * @param {Document} document - Document that owns the element
+ * @returns {Object} d3 selection of the new element
+ */
+function createElement(name, document) {
+    return d3.select(d3.creator(name).call(document.documentElement));
+}
+
+/**
+ * Generate jittered y-coordinates for data points. With one radius per point,
+ * 'random' and 'uniform' narrow the spread of larger points so that every
+ * point's edge stays as close to the centre as the smallest point's does.
+ * @param {number} count - Number of data points
+ * @param {number} jitter - Jitter amount (0-1)
+ * @param {string} method - Jittering method ('random', 'uniform' or 'beeswarm')
+ * @param {number} seed - Seed for deterministic random generation
+ * @param {Object} layout - Point geometry; values and valueScale are used by 'beeswarm' only
+ * @param {number[]} layout.values - Data values along the value axis, one per point
+ * @param {number|number[]} layout.radius - Point radius in pixels, or one radius per point
+ * @param {Function} layout.valueScale - Maps a data value to pixels (defaults to identity)
+ * @param {number} layout.bandSize - Pixel size of the category band spanning [-1, 1]
+ * @returns {number[]} Array of y-coordinates. With 'beeswarm', its overflow property
+ *     lists the indices of points that did not fit in the band without overlapping
+ */
+export function generateJitter(count, jitter = 0.5, method = 'random', seed = 12345, layout = {}) {
+    const coords = [];
+    
+    if (method === 'beeswarm') {
+        return beeswarmOffsets(count, jitter, layout);
+    } else if (method === 'uniform') {
+        // Distribute points uniformly within the jitter range
+        for (let i = 0; i < count; i++) {
+            const position = (i / (count - 1)) - 0.5; // -0.5 to 0.5
+            coords.push(position * jitter);
+        }
+        // Shuffle to avoid systematic patterns using seeded random
+        const seededRandom = d3.randomLcg(seed);
+        return narrowByRadius(d3.shuffle(coords, seededRandom), jitter, layout);
+    } else {
+        // Seeded random jittering for consistent results
+        const seededRandom = d3.randomLcg(seed);
+        for (let i = 0; i < count; i++) {
+            coords.push((seededRandom() - 0.5) * jitter);
+        }
+        return narrowByRadius(coords, jitter, layout);
+    }
+}
+
+/**
+ * Scale random or uniform offsets down for points larger than the smallest
+ * one, by the extra room their radius takes up in the band
+ * @param {number[]} coords - Offsets spanning ±jitter / 2 of the band domain
+ * @param {number} jitter - Jitter amount (0-1)
+ * @param {Object} layout - See generateJitter; only radius and bandSize are used
+ * @returns {number[]} The offsets, unchanged for a single radius
+ */
+function narrowByRadius(coords, jitter, layout) {
+    const { radius = null, bandSize = 2 } = layout;
+    if (!Array.isArray(radius) || !(jitter > 0)) return coords;
+    const smallest = d3.min(radius) ?? 0;
+    // ±jitter / 2 of the [-1, 1] domain covers jitter * bandSize / 4 pixels either side
+    const reach = jitter * bandSize / 4;
+    return coords.map((offset, i) => offset * Math.max(0, 1 - (radius[i] - smallest) / reach));
+}
+
+/**
+ * Pack points next to each other so that no two circles overlap.
+ * Points are placed in value order, each at the offset closest to the
+ * band centre that clears every point already placed. The jitter amount
+ * caps how much of the band the swarm may use; points that do not fit are
+ * clamped to its edge, where they overlap, and reported as overflow.
+ * @param {number} count - Number of data points
+ * @param {number} jitter - Fraction of the band available to the swarm (0-1)
+ * @param {Object} layout - See generateJitter
+ * @returns {number[]} Array of offsets in the [-1, 1] band domain, with an
+ *     overflow property listing the indices of the clamped points
+ */
+function beeswarmOffsets(count, jitter, layout) {
+    const {
+        values = [],
+        radius = 4,
+        valueScale = v => v,
+        bandSize = 2
+    } = layout;
+
+    const halfBand = bandSize / 2;
+    const limit = jitter * halfBand;
+    const radii = Array.isArray(radius) ? radius : new Array(count).fill(radius);
+    // Widest gap at which any two points can still touch
+    const reach = 2 * (d3.max(radii) ?? 0);
+    const positions = values.slice(0, count).map(v => valueScale(v));
+    const order = d3.range(count).sort((a, b) => (positions[a] - positions[b]) || (a - b));
+    const offsets = new Array(count).fill(0);
+    const overflow = [];
+    const placed = [];
+    let head = 0;
+
+    order.forEach((index, rank) => {
+        const position = positions[index];
+        // Drop placed points that can no longer collide with anything to the right
+        while (head < placed.length && position - positions[placed[head]] >= reach) {
+            head++;
+        }
+
+        const blocked = [];
+        for (let j = head; j < placed.length; j++) {
+            const other = placed[j];
+            const distance = radii[index] + radii[other];
+            const dx = position - positions[other];
+            if (dx >= distance) continue;
+            const dy = Math.sqrt(distance * distance - dx * dx);
+            blocked.push([offsets[other] - dy, offsets[other] + dy]);
+        }
+
+        // Candidates are the band centre and the edges of every blocked interval
+        const candidates = [0];
+        blocked.forEach(([low, high]) => candidates.push(low, high));
+        const side = rank % 2 === 0 ? 1 : -1;
+        candidates.sort((a, b) => (Math.abs(a) - Math.abs(b)) || (side * (b - a)));
+
+        // Candidates are sorted by distance from the centre, so when the
+        // closest free one lies past the limit, no free one lies within it
+        const offset = candidates.find(c => blocked.every(([low, high]) => c <= low || c >= high));
+        if (Math.abs(offset) > limit) overflow.push(index);
+        offsets[index] = Math.max(-limit, Math.min(limit, offset));
+        placed.push(index);
+    });
+
+    const scaled = offsets.map(offset => halfBand > 0 ? offset / halfBand : 0);
+    scaled.overflow = overflow;
+    return scaled;
+}
+
+/**
+ * Work out the pixel geometry the 'beeswarm' jitter method needs to pack points.
+ * Mirrors the scales Plot builds for the chart: a niced linear value axis
+ * and a faceted band per category.
+ * @param {number[]} values - All values plotted along the value axis
+ * @param {number} valueRange - Pixel length of the value axis
+ * @param {number} bandRange - Pixel length of the category axis
+ * @param {number} categoryCount - Number of category bands
+ * @param {number} padding - Band padding used for the facet scale
+ * @param {Array} domain - Fixed value-axis domain, if any (used as-is, without nicing)
+ * @returns {Object} Object with valueScale and bandSize
+ */
+function swarmGeometry(values, valueRange, bandRange, categoryCount, padding, domain = null) {
+    const valueScale = domain
+        ? d3.scaleLinear().domain(domain).range([0, valueRange])
+        : d3.scaleLinear().domain(d3.extent(values)).nice().range([0, valueRange]);
+    const step = bandRange / Math.max(1, categoryCount - padding + 2 * padding);
+    return {
+        valueScale,
+        bandSize: step * (1 - padding)
+    };
+}
+
+// Channel names Plot reserves for marks; data fields with these names are left out of tooltips
+const RESERVED_CHANNELS = new Set([
+    'x', 'y', 'x1', 'x2', 'y1', 'y2', 'fx', 'fy', 'z', 'r', 'fill', 'stroke', 'fillOpacity',
+    'strokeOpacity', 'opacity', 'symbol', 'title', 'href', 'ariaLabel', 'rotate'
+]);
+
+/**
+ * Build the tooltip options for the dot mark: the value, the category and
+ * every extra field found on the data.
+ * @param {Array} data - Array of data objects
+ * @param {string} valueField - Field plotted along the value axis
+ * @param {string} categoryField - Field used for grouping
+ * @param {string} categoryLabel - Label shown for the category, if any
+ * @param {string} jitterChannel - Positional channel carrying the jitter offset ('x' or 'y')
+ * @param {string} facetChannel - Facet channel carrying the category ('fx' or 'fy')
+ * @returns {Object} Plot mark options with tip and channels
+ */
+function tooltipOptions(data, valueField, categoryField, categoryLabel, jitterChannel, facetChannel) {
+    const valueChannel = jitterChannel === 'x' ? 'y' : 'x';
+    const fields = new Set();
+    data.forEach(d => Object.keys(d).forEach(key => fields.add(key)));
+    fields.delete(valueField);
+    fields.delete(categoryField);
+
+    const channels = {};
+    const format = { [valueChannel]: true, [jitterChannel]: false };
+
+    // Show the category under its own name rather than the facet channel's
+    if (RESERVED_CHANNELS.has(categoryField)) {
+        format[facetChannel] = true;
+    } else {
+        channels[categoryField] = { value: categoryField, label: categoryLabel ?? categoryField };
+        format[categoryField] = true;
+        format[facetChannel] = false;
+    }
+
+    fields.forEach(field => {
+        if (!RESERVED_CHANNELS.has(field)) {
+            channels[field] = { value: field, label: field };
+        }
+    });
+
+    return { channels, tip: { format } };
+}
+
+/**
+ * Resolve the outliers option into one flag per record of a category
+ * @param {Array} records - Data objects of one category
+ * @param {number[]} values - Their values along the value axis
+ * @param {Object} stats - Statistics for the category
+ * @param {string|Function|Object} outliers - Rule name, predicate (d, stats) => boolean,
+ *     or { method, threshold } / { predicate } object
+ * @returns {boolean[]} One flag per record
+ */
+function flagOutliers(records, values, stats, outliers) {
+    if (!outliers) {
+        return records.map(() => false);
+    }
+    if (typeof outliers === 'function') {
+        return records.map(d => Boolean(outliers(d, stats)));
+    }
+
+    const { predicate, ...rule } = typeof outliers === 'string' ? { method: outliers } : outliers;
+    if (predicate) {
+        return records.map(d => Boolean(predicate(d, stats)));
+    }
+    return detectOutliers(values, { ...rule, stats });
+}
+
+/**
+ * Build the pixel radius scale for the size option. Sizes map to dot area,
+ * so the radius grows with the square root of the value.
+ * @param {Array} data - Array of data objects
+ * @param {string|Function} size - Field name or accessor for the size value
+ * @param {Array} sizeDomain - Value domain [min, max]; defaults to [0, max]
+ * @param {Array} sizeRange - Radius range [min, max] in pixels
+ * @returns {Function|null} Scale from value to radius, or null without a size encoding
+ */
+function sizeScale(data, size, sizeDomain, sizeRange) {
+    if (size == null) return null;
+    const sizeOf = typeof size === 'function' ? size : d => d[size];
+    const domain = sizeDomain ?? [0, d3.max(data, d => +sizeOf(d)) ?? 1];
+    const scale = d3.scaleSqrt().domain(domain).range(sizeRange).clamp(true);
+    const radius = d => {
+        const value = +sizeOf(d);
+        return Number.isFinite(value) ? scale(value) : sizeRange[0];
+    };
+    radius.scale = scale;
+    return radius;
+}
+
+/**
+ * Draw a legend for the size encoding: sample circles with their values.
+ * Like Plot's swatch legends, it is HTML, so the browser lays out the labels.
+ * @param {Function} scale - Scale from value to radius (see sizeScale)
+ * @param {string} label - Legend title
+ * @param {Document} document - Document that owns the legend
+ * @returns {HTMLElement} Legend element
+ */
+function sizeLegend(scale, label, document) {
+    const values = scale.ticks(4).filter(v => scale(v) > 0);
+    const format = scale.tickFormat(4);
+
+    const legend = createElement('div', document)
+        .attr('class', 'alphaswarm-size-legend alphaswarm-swatches')
+        .style('display', 'flex')
+        .style('flex-wrap', 'wrap')
+        .style('align-items', 'center')
+        .style('column-gap', '12px')
+        .style('min-height', '33px')
+        .style('font-family', 'system-ui, sans-serif')
+        .style('font-size', '10px');
+
+    if (label) {
+        legend.append('span').style('font-weight', 'bold').text(label);
+    }
+    values.forEach(value => {
+        const r = scale(value);
+        // Room for the stroke around the circle
+        const size = Math.ceil(2 * r + 2);
+        const swatch = legend.append('span')
+            .style('display', 'inline-flex')
+            .style('align-items', 'center')
+            .style('gap', '4px');
+        swatch.append(() => createElement('svg', document)
+            .attr('width', size)
+            .attr('height', size)
+            .attr('fill', 'none')
+            .attr('stroke', 'currentColor')
+            .call(svg => svg.append('circle').attr('cx', size / 2).attr('cy', size / 2).attr('r', r))
+            .node());
+        swatch.append('span').text(format(value));
+    });
+
+    return legend.node();
+}
+
+/**
+ * Attach a size legend to a rendered chart. The chart must be a figure,
+ * which Plot produces when the figure option is set.
+ * @param {Element} plot - Figure returned by Plot.plot
+ * @param {Element} legend - Legend element
+ */
+function appendLegend(plot, legend) {
+    const chart = [...plot.children].filter(child => child.tagName.toLowerCase() === 'svg').pop();
+    plot.insertBefore(legend, chart);
+}
+
+/**
+ * Turn the color option (a field name or an accessor) into an accessor
+ * @param {string|Function} color - Field name or accessor function
+ * @returns {Function|null} Accessor, or null when points are not colored by data
+ */
+function colorAccessor(color) {
+    if (color == null) return null;
+    return typeof color === 'function' ? color : d => d[color];
+}
+
+/**
+ * Build the Plot color scale options for a color-encoded chart
+ * @param {Object} options - Chart options
+ * @returns {Object|undefined} Color scale options, or undefined without a color encoding
+ */
+function colorScaleOptions(options) {
+    const {
+        color,
+        colorType,
+        colorScheme,
+        colorPalette,
+        colorLabel,
+        colorDomain,
+        showLegend
+    } = options;
+
+    if (color == null) return undefined;
+
+    return {
+        type: colorType ?? undefined,
+        domain: colorDomain ?? undefined,
+        scheme: colorPalette ? undefined : colorScheme ?? undefined,
+        range: colorPalette ?? undefined,
+        label: colorLabel ?? (typeof color === 'string' ? color : undefined),
+        legend: showLegend
+    };
+}
+
+/**
+ * Calculate statistics for every (category, color group) pair, for
+ * mean and median lines drawn per color subgroup
+ * @param {Array} data - Array of data objects
+ * @param {Function} categoryOf - Category accessor
+ * @param {string} valueField - Field plotted along the value axis
+ * @param {Function} colorOf - Color group accessor
+ * @param {number} quantileType - Quantile definition for the statistics
+ * @param {Function} weightOf - Weight accessor, or null for unweighted statistics
+ * @param {string} weightType - 'frequency' or 'sampling' weights (see resolveWeightType)
+ * @returns {Array} Rows with category, colorGroup and the statistics
+ */
+function subgroupStats(data, categoryOf, valueField, colorOf, quantileType, weightOf, weightType) {
+    const groups = d3.group(data, categoryOf, colorOf);
+    const rows = [];
+    groups.forEach((byColor, category) => {
+        byColor.forEach((records, colorGroup) => {
+            rows.push({
+                category,
+                colorGroup,
+                ...calculateStats(records.map(d => d[valueField]), {
+                    quantileType,
+                    weights: weightOf ? records.map(weightOf) : null,
+                    weightType
+                })
+            });
+        });
+    });
+    return rows;
+}
+
+// Named buckets for the timeBin option; weeks start on Monday
+const TIME_BINS = {
+    day: { interval: d3.utcDay, format: '%b %-d' },
+    week: { interval: d3.utcMonday, format: '%b %-d' },
+    month: { interval: d3.utcMonth, format: '%b %Y' }
+};
+
+/**
+ * Resolve the timeBin option into a d3 time interval and a default label format
+ * @param {string|Object} timeBin - 'day', 'week', 'month' or a d3 time interval
+ * @returns {Object} Object with interval and format
+ */
+function timeBinning(timeBin) {
+    if (typeof timeBin === 'string') {
+        if (!TIME_BINS[timeBin]) {
+            throw new Error(`Unknown timeBin "${timeBin}"; use "day", "week", "month" or a d3 time interval`);
+        }
+        return TIME_BINS[timeBin];
+    }
+    return { interval: timeBin, format: '%Y-%m-%d' };
+}
+
+/**
+ * Category accessor for the grouping field. With timeBin, dates (Date objects,
+ * timestamps or date strings) are bucketed and each bucket is identified by
+ * its start time in milliseconds. Records with invalid dates, which validation
+ * reports, are left out.
+ * @param {string} field - Field used for grouping
+ * @param {string|Object} timeBin - Time bucket, or null to group by the raw value
+ * @returns {Function} Category accessor
+ */
+function categoryAccessor(field, timeBin) {
+    if (timeBin == null) return d => d[field];
+    const { interval } = timeBinning(timeBin);
+    return d => {
+        const value = d[field];
+        const date = value instanceof Date ? value : new Date(value);
+        return value == null || isNaN(date) ? null : +interval.floor(date);
+    };
+}
+
+/**
+ * Label formatter for time bucket categories
+ * @param {string|Object} timeBin - Time bucket, or null without time binning
+ * @param {string|Function} timeFormat - d3 UTC time format specifier or formatter
+ * @returns {Function|null} Formatter, or null without time binning
+ */
+function timeLabel(timeBin, timeFormat) {
+    if (timeBin == null) return null;
+    const format = typeof timeFormat === 'function'
+        ? timeFormat
+        : d3.utcFormat(timeFormat ?? timeBinning(timeBin).format);
+    // The folded "Other" group keeps its name
+    return category => (typeof category === 'number' ? format(new Date(category)) : String(category));
+}
+
+// Time buckets are shown in date order unless sorted otherwise
+const chronological = (a, b) => a.category - b.category;
+
+// Sort keys that are not themselves calculateStats fields
+const SORT_KEYS = { spread: 'iqr' };
+
+/**
+ * Order the categories and fold the ones past maxCategories into a single group
+ * @param {Array} data - Array of data objects
+ * @param {Function} rawCategoryOf - Category accessor before folding
+ * @param {Function} valueOf - Value accessor
+ * @param {Object} options - Ordering options
+ * @param {string|Function|Array} options.sort - 'mean', 'median', 'count', 'spread' (IQR)
+ *     or another calculateStats field; a comparator over category summaries; or an
+ *     explicit list of categories. First-seen order when null.
+ * @param {string} options.sortOrder - 'ascending' or 'descending'
+ * @param {number} options.maxCategories - Most categories to show, including the folded group
+ * @param {string} options.otherLabel - Name of the folded group
+ * @param {Array} options.domain - Fixed category order; values outside it are folded
+ * @param {boolean} options.skipMissing - Leave records without a category out instead of
+ *     giving them a null category
+ * @returns {Object} Object with categories (display order) and categoryOf (folding accessor)
+ */
+function orderCategories(data, rawCategoryOf, valueOf, options) {
+    const {
+        sort = null,
+        sortOrder = 'ascending',
+        maxCategories = null,
+        otherLabel = 'Other',
+        quantileType = 7,
+        weightOf = null,
+        weightType = 'auto',
+        domain = null,
+        skipMissing = false
+    } = options;
+
+    // Fold categories missing from the kept set, except skipped records
+    const folding = kept => d => {
+        const category = rawCategoryOf(d);
+        if (category == null && skipMissing) return null;
+        return kept.has(category) ? category : otherLabel;
+    };
+
+    if (domain) {
+        return { categories: domain, categoryOf: folding(new Set(domain)) };
+    }
+    if (sortOrder !== 'ascending' && sortOrder !== 'descending') {
+        throw new Error(`Unknown sortOrder "${sortOrder}"; use "ascending" or "descending"`);
+    }
+
+    // Groups keep first-seen order, which is also the order of ties
+    const groups = d3.group(data, rawCategoryOf);
+    if (skipMissing) groups.delete(null);
+    let categories = [...groups.keys()];
+
+    if (Array.isArray(sort)) {
+        const listed = sort.filter(category => groups.has(category));
+        const rest = categories.filter(category => !sort.includes(category));
+        categories = sortOrder === 'descending' ? [...listed.reverse(), ...rest] : [...listed, ...rest];
+    } else if (sort != null) {
+        const summaries = new Map(categories.map(category => {
+            const records = groups.get(category);
+            const stats = calculateStats(records.map(valueOf), {
+                quantileType,
+                weights: weightOf ? records.map(weightOf) : null,
+                weightType
+            });
+            return [category, { category, records, ...stats }];
+        }));
+        const direction = sortOrder === 'descending' ? -1 : 1;
+        let compare;
+        if (typeof sort === 'function') {
+            compare = (a, b) => direction * sort(a, b);
+        } else {
+            const field = SORT_KEYS[sort] ?? sort;
+            if (typeof summaries.get(categories[0])[field] !== 'number') {
+                throw new Error(`Unknown sort "${sort}"; use mean, median, count, spread or a statistic name`);
+            }
+            // Categories without a finite statistic go last either way
+            compare = (a, b) => {
+                const va = a[field];
+                const vb = b[field];
+                if (!Number.isFinite(va) || !Number.isFinite(vb)) {
+                    return Number.isFinite(va) ? -1 : Number.isFinite(vb) ? 1 : 0;
+                }
+                return direction * (va - vb);
+            };
+        }
+        categories.sort((a, b) => compare(summaries.get(a), summaries.get(b)));
+    }
+
+    if (maxCategories == null || categories.length <= maxCategories) {
+        return { categories, categoryOf: rawCategoryOf };
+    }
+    const kept = new Set(categories.slice(0, Math.max(0, maxCategories - 1)));
+    return { categories: [...kept, otherLabel], categoryOf: folding(kept) };
+}
+
+/**
+ * Build the box-plot style overlays drawn behind the dots: a shaded IQR band,
+ * Tukey whiskers and a box-plot outline. Each category row of statsData must
+ * carry q1, q3, median, whiskerLow and whiskerHigh.
+ * @param {Array} statsData - Per-category statistics rows
+ * @param {Object} options - Overlay options
+ * @param {boolean} options.horizontal - Whether values run along the x axis
+ * @returns {Array} Array of Plot marks
+ */
+function summaryMarks(statsData, options) {
+    const {
+        horizontal,
+        clip,
+        showIQR,
+        iqrColor,
+        iqrOpacity,
+        showWhiskers,
+        whiskerColor,
+        whiskerOpacity,
+        showBoxPlot,
+        boxColor,
+        boxOpacity
+    } = options;
+
+    // Value axis, jitter axis and facet channel for this orientation
+    const v = horizontal ? 'x' : 'y';
+    const j = horizontal ? 'y' : 'x';
+    const facet = horizontal ? 'fy' : 'fx';
+    // Rules running along the value axis, and rules crossing the band at a value
+    const alongRule = horizontal ? Plot.ruleY : Plot.ruleX;
+    const acrossRule = horizontal ? Plot.ruleX : Plot.ruleY;
+
+    const boxHalfSize = 0.5;
+    const capHalfSize = 0.25;
+    const marks = [];
+
+    const whiskers = (stroke, strokeOpacity) => [
+        alongRule(statsData, { [j]: 0, [`${v}1`]: 'whiskerLow', [`${v}2`]: 'q1', [facet]: 'category', stroke, strokeOpacity, clip }),
+        alongRule(statsData, { [j]: 0, [`${v}1`]: 'q3', [`${v}2`]: 'whiskerHigh', [facet]: 'category', stroke, strokeOpacity, clip }),
+        acrossRule(statsData, { [v]: 'whiskerLow', [`${j}1`]: -capHalfSize, [`${j}2`]: capHalfSize, [facet]: 'category', stroke, strokeOpacity, clip }),
+        acrossRule(statsData, { [v]: 'whiskerHigh', [`${j}1`]: -capHalfSize, [`${j}2`]: capHalfSize, [facet]: 'category', stroke, strokeOpacity, clip })
+    ];
+
+    if (showIQR) {
+        marks.push(
+            Plot.rect(statsData, {
+                [`${v}1`]: 'q1',
+                [`${v}2`]: 'q3',
+                [`${j}1`]: -1,
+                [`${j}2`]: 1,
+                [facet]: 'category',
+                fill: iqrColor,
+                fillOpacity: iqrOpacity,
+                clip
+            })
+        );
+    }
+
+    if (showBoxPlot) {
+        // The box plot brings its own whiskers in the box color
+        marks.push(
+            ...whiskers(boxColor, boxOpacity),
+            Plot.rect(statsData, {
+                [`${v}1`]: 'q1',
+                [`${v}2`]: 'q3',
+                [`${j}1`]: -boxHalfSize,
+                [`${j}2`]: boxHalfSize,
+                [facet]: 'category',
+                fill: 'none',
+                stroke: boxColor,
+                strokeOpacity: boxOpacity,
+                clip
+            }),
+            acrossRule(statsData, {
+                [v]: 'median',
+                [`${j}1`]: -boxHalfSize,
+                [`${j}2`]: boxHalfSize,
+                [facet]: 'category',
+                stroke: boxColor,
+                strokeOpacity: boxOpacity,
+                clip
+            })
+        );
+    } else if (showWhiskers) {
+        marks.push(...whiskers(whiskerColor, whiskerOpacity));
+    }
+
+    return marks;
+}
+
+// Side of the band each densitySide value points to, along the jitter axis
+const DENSITY_SIDES = { top: 1, right: 1, bottom: -1, left: -1, both: 0 };
+
+// Share of the jitter range a density may fill, leaving a gap between bands
+const DENSITY_REACH = 0.95;
+
+/**
+ * Build the kernel density overlays drawn behind the dots: a half violin
+ * growing from the middle of the band, a full violin, or a ridge growing
+ * from the band's edge across the band
+ * @param {Array} densities - Rows with category and points ({ value, density })
+ * @param {Object} options - Density options
+ * @param {boolean} options.horizontal - Whether values run along the x axis
+ * @returns {Array} Array of Plot marks
+ */
+function densityMarks(densities, options) {
+    const {
+        horizontal,
+        clip,
+        densitySide,
+        densityStyle,
+        densityScale,
+        densityColor,
+        densityOpacity
+    } = options;
+
+    const side = DENSITY_SIDES[densitySide];
+    if (side === undefined) {
+        throw new Error(`Unknown densitySide "${densitySide}"; use ${Object.keys(DENSITY_SIDES).join(', ')}`);
+    }
+    if (densityStyle !== 'violin' && densityStyle !== 'ridge') {
+        throw new Error(`Unknown densityStyle "${densityStyle}"; use "violin" or "ridge"`);
+    }
+    if (densityScale !== 'shared' && densityScale !== 'category') {
+        throw new Error(`Unknown densityScale "${densityScale}"; use "shared" or "category"`);
+    }
+
+    // Shared scaling keeps areas comparable; per-category scaling fills every band
+    const sharedPeak = d3.max(densities, row => d3.max(row.points, p => p.density));
+    const rows = densities.flatMap(({ category, points }) => {
+        const peak = densityScale === 'shared' ? sharedPeak : d3.max(points, p => p.density);
+        return points.map(({ value, density }) => {
+            const extent = peak > 0 ? density / peak : 0;
+            if (side === 0) {
+                return { category, value, low: -DENSITY_REACH * extent, high: DENSITY_REACH * extent };
+            }
+            const base = densityStyle === 'ridge' ? -side * DENSITY_REACH : 0;
+            const reach = densityStyle === 'ridge' ? 2 * DENSITY_REACH : DENSITY_REACH;
+            return { category, value, low: base, high: base + side * reach * extent };
+        });
+    });
+
+    const v = horizontal ? 'x' : 'y';
+    const j = horizontal ? 'y' : 'x';
+    const facet = horizontal ? 'fy' : 'fx';
+    const area = horizontal ? Plot.areaY : Plot.areaX;
+    return [
+        area(rows, {
+            [v]: 'value',
+            [`${j}1`]: 'low',
+            [`${j}2`]: 'high',
+            [facet]: 'category',
+            z: 'category',
+            fill: densityColor,
+            fillOpacity: densityOpacity,
+            stroke: densityColor,
+            strokeOpacity: Math.min(1, densityOpacity * 3),
+            clip
+        })
+    ];
+}
+
+/**
+ * Build the confidence-interval marks for the mean and median. Each category
+ * row of statsData must carry meanLow/meanHigh and medianLow/medianHigh for the
+ * intervals that are shown.
+ * @param {Array} statsData - Per-category statistics rows
+ * @param {Object} options - Interval options
+ * @param {boolean} options.horizontal - Whether values run along the x axis
+ * @param {string} options.ciStyle - 'bar' for capped bars near the band edge, 'band' for shaded bands
+ * @returns {Array} Array of Plot marks
+ */
+function intervalMarks(statsData, options) {
+    const {
+        horizontal,
+        clip,
+        showMeanCI,
+        showMedianCI,
+        ciStyle
+    } = options;
+
+    const v = horizontal ? 'x' : 'y';
+    const j = horizontal ? 'y' : 'x';
+    const facet = horizontal ? 'fy' : 'fx';
+    const alongRule = horizontal ? Plot.ruleY : Plot.ruleX;
+    const acrossRule = horizontal ? Plot.ruleX : Plot.ruleY;
+
+    const capHalfSize = 0.06;
+    const intervals = [];
+    // Mean and median bars sit on opposite edges of the band so they never overlap
+    if (showMeanCI) intervals.push({ stat: 'mean', color: '#ff6b6b', offset: 0.88 });
+    if (showMedianCI) intervals.push({ stat: 'median', color: '#4ecdc4', offset: -0.88 });
+
+    return intervals.flatMap(({ stat, color, offset }) => {
+        const low = `${stat}Low`;
+        const high = `${stat}High`;
+
+        if (ciStyle === 'band') {
+            return [
+                Plot.rect(statsData, {
+                    [`${v}1`]: low,
+                    [`${v}2`]: high,
+                    [`${j}1`]: -1,
+                    [`${j}2`]: 1,
+                    [facet]: 'category',
+                    fill: color,
+                    fillOpacity: 0.15,
+                    clip
+                })
+            ];
+        }
+
+        return [
+            alongRule(statsData, { [j]: offset, [`${v}1`]: low, [`${v}2`]: high, [facet]: 'category', stroke: color, strokeWidth: 3, clip }),
+            ...[low, high].map(end => acrossRule(statsData, {
+                [v]: end,
+                [`${j}1`]: offset - capHalfSize,
+                [`${j}2`]: offset + capHalfSize,
+                [facet]: 'category',
+                stroke: color,
+                strokeWidth: 2,
+                clip
+            }))
+        ];
+    });
+}
+
+/**
+ * Connect records that share an ID across categories. Each record is linked to
+ * the same ID's record in the next category, in display order, that has one;
+ * within a category only the first record of an ID is used.
+ * @param {Array} processedData - Plotted records, carrying originalCategory and their offset
+ * @param {Array} categories - Category values in display order
+ * @param {Function} pairOf - ID accessor
+ * @param {string} valueField - Field plotted along the value axis
+ * @param {string} offsetField - Field holding the jitter offset
+ * @returns {Array} Links with id, from, to, their values and offsets, difference and direction
+ */
+function pairLinks(processedData, categories, pairOf, valueField, offsetField) {
+    const rank = new Map(categories.map((category, i) => [category, i]));
+    const links = [];
+    d3.group(processedData.filter(d => pairOf(d) != null), pairOf).forEach((records, id) => {
+        const firsts = [...d3.rollup(records, group => group[0], d => d.originalCategory).values()]
+            .sort((a, b) => rank.get(a.originalCategory) - rank.get(b.originalCategory));
+        d3.pairs(firsts).forEach(([a, b]) => {
+            const difference = b[valueField] - a[valueField];
+            if (!Number.isFinite(difference)) return;
+            links.push({
+                id,
+                from: a.originalCategory,
+                to: b.originalCategory,
+                fromValue: a[valueField],
+                toValue: b[valueField],
+                fromOffset: a[offsetField],
+                toOffset: b[offsetField],
+                difference,
+                direction: difference > 0 ? 'increase' : difference < 0 ? 'decrease' : 'unchanged'
+            });
+        });
+    });
+    return links;
+}
+
+/**
+ * Summarize the paired differences (to minus from) of each pair of linked categories
+ * @param {Array} links - Links from pairLinks
+ * @param {Array} categories - Category values in display order
+ * @param {number} quantileType - Quantile definition for the statistics
+ * @returns {Array} Rows with from, to, increased, decreased, unchanged and the
+ *     calculateStats fields of the differences
+ */
+function pairSummary(links, categories, quantileType) {
+    const rank = new Map(categories.map((category, i) => [category, i]));
+    return d3.flatGroup(links, link => link.from, link => link.to)
+        .sort(([fromA, toA], [fromB, toB]) => rank.get(fromA) - rank.get(fromB) || rank.get(toA) - rank.get(toB))
+        .map(([from, to, group]) => ({
+            from,
+            to,
+            increased: group.filter(link => link.direction === 'increase').length,
+            decreased: group.filter(link => link.direction === 'decrease').length,
+            unchanged: group.filter(link => link.direction === 'unchanged').length,
+            ...calculateStats(group.map(link => link.difference), { quantileType })
+        }));
+}
+
+/**
+ * Build a mark of line segments that may cross category bands. Each link is
+ * drawn in the band of its from category, and its other end is shifted into
+ * the band of its to category. Links are never clipped, as they cross bands.
+ * @param {Array} links - Rows with from, to, fromValue, toValue, fromOffset and toOffset
+ * @param {Object} options - Link options
+ * @param {boolean} options.horizontal - Whether values run along the x axis
+ * @param {Function} options.key - Key of a link, for transitions
+ * @param {Function} options.stroke - Stroke color of a link
+ * @param {number} options.strokeWidth - Line width in pixels
+ * @param {number} options.strokeOpacity - Line opacity
+ * @returns {Object} Plot mark
+ */
+function crossBandLinks(links, options) {
+    const { horizontal, key, stroke, strokeWidth, strokeOpacity } = options;
+    const v = horizontal ? 'x' : 'y';
+    const j = horizontal ? 'y' : 'x';
+    const facet = horizontal ? 'fy' : 'fx';
+
+    const render = (index, scales, values, dimensions, context) => {
+        const g = createElement('svg:g', context.document)
+            .attr('fill', 'none')
+            .attr('stroke-width', strokeWidth)
+            .attr('stroke-opacity', strokeOpacity);
+        index.forEach(i => {
+            const link = links[i];
+            const shift = scales[facet](link.to) - scales[facet](link.from);
+            g.append('line')
+                .attr(KEY_ATTRIBUTE, key(link))
+                .attr('x1', values.x1[i])
+                .attr('y1', values.y1[i])
+                .attr('x2', values.x2[i] + (horizontal ? 0 : shift))
+                .attr('y2', values.y2[i] + (horizontal ? shift : 0))
+                .attr('stroke', stroke(link));
+        });
+        return g.node();
+    };
+
+    return Plot.link(links, {
+        [`${v}1`]: 'fromValue',
+        [`${v}2`]: 'toValue',
+        [`${j}1`]: 'fromOffset',
+        [`${j}2`]: 'toOffset',
+        [facet]: 'from',
+        render
+    });
+}
+
+/**
+ * Build the line connecting a statistic of consecutive categories, through
+ * the middle of each band. Categories without a finite value are skipped.
+ * @param {Array} statsData - Per-category statistics rows, in display order
+ * @param {Object} options - Trend options
+ * @param {boolean} options.horizontal - Whether values run along the x axis
+ * @param {string} options.trendLine - Statistic to connect: 'median' or 'mean'
+ * @param {string} options.trendColor - Line color
+ * @returns {Array} Array of Plot marks
+ */
+function trendMarks(statsData, options) {
+    const { horizontal, trendLine, trendColor } = options;
+    if (trendLine !== 'median' && trendLine !== 'mean') {
+        throw new Error(`Unknown trendLine "${trendLine}"; use "median" or "mean"`);
+    }
+    const points = statsData.filter(row => Number.isFinite(row[trendLine]));
+    const links = d3.pairs(points).map(([a, b]) => ({
+        from: a.category,
+        to: b.category,
+        fromValue: a[trendLine],
+        toValue: b[trendLine],
+        fromOffset: 0,
+        toOffset: 0
+    }));
+    return [
+        crossBandLinks(links, {
+            horizontal,
+            key: link => `trend:${link.from}`,
+            stroke: () => trendColor,
+            strokeWidth: 1.5,
+            strokeOpacity: 0.9
+        })
+    ];
+}
+
+// Bracket geometry, in pixels: gap to the frame, spacing between levels, tick length
+const BRACKET_GAP = 8;
+const BRACKET_STEP = 18;
+const BRACKET_TICK = 4;
+
+/**
+ * Resolve the compare option into compareGroups options plus display settings
+ * @param {boolean|string|Object} compare - true, a test name, or an options object
+ * @returns {Object|null} Settings, or null when no comparison is requested
+ */
+function comparisonSettings(compare) {
+    if (!compare) return null;
+    const settings = compare === true ? {} : typeof compare === 'string' ? { test: compare } : compare;
+    return {
+        test: 'welch',
+        correction: 'holm',
+        alpha: 0.05,
+        label: 'p',
+        hideNonSignificant: false,
+        ...settings
+    };
+}
+
+/**
+ * Turn comparison rows into brackets: the two categories in display order, a
+ * label, and a level chosen so that brackets on the same level never overlap
+ * @param {Array} comparisons - Rows from compareGroups
+ * @param {Array} categories - Category values in display order
+ * @param {Object} settings - Settings from comparisonSettings
+ * @returns {Array} Brackets with from, to, level, label and the comparison row
+ */
+function bracketRows(comparisons, categories, settings) {
+    const { label, alpha, hideNonSignificant } = settings;
+    const rank = new Map(categories.map((category, i) => [category, i]));
+    const pFormat = d3.format('.2~g');
+    const effectFormat = d3.format('.2f');
+    const text = row => {
+        const p = row.pAdjusted;
+        if (label === 'effect') {
+            if (!Number.isFinite(row.effectSize)) return 'n/a';
+            return `${row.test === 'mannwhitney' ? 'r' : 'd'} = ${effectFormat(row.effectSize)}`;
+        }
+        if (!Number.isFinite(p)) return 'n/a';
+        if (label === 'stars') {
+            if (!(p < alpha)) return 'ns';
+            return p < 0.001 ? '***' : p < 0.01 ? '**' : '*';
+        }
+        return p < 0.001 ? 'p < 0.001' : `p = ${pFormat(p)}`;
+    };
+
+    // Short brackets take the levels nearest the data
+    const levels = [];
+    return comparisons
+        .filter(row => !hideNonSignificant || row.significant)
+        .map(row => {
+            const [from, to] = d3.sort([row.groupA, row.groupB], category => rank.get(category));
+            return { from, to, start: rank.get(from), end: rank.get(to), label: text(row), comparison: row };
+        })
+        .sort((a, b) => (a.end - a.start) - (b.end - b.start) || a.start - b.start)
+        .map(bracket => {
+            let level = levels.findIndex(spans => spans.every(span => span.end < bracket.start || span.start > bracket.end));
+            if (level === -1) level = levels.push([]) - 1;
+            levels[level].push(bracket);
+            return { ...bracket, level };
+        });
+}
+
+/**
+ * Margin needed beside the frame for a set of brackets
+ * @param {Array} brackets - Brackets from bracketRows
+ * @returns {number} Space in pixels
+ */
+function bracketSpace(brackets) {
+    if (brackets.length === 0) return 0;
+    return BRACKET_GAP + (d3.max(brackets, bracket => bracket.level) + 1) * BRACKET_STEP;
+}
+
+/**
+ * Build the significance brackets joining the middles of two category bands,
+ * right of the frame for horizontal charts and above it for vertical ones
+ * @param {Array} brackets - Brackets from bracketRows
+ * @param {Object} options - Bracket options
+ * @param {boolean} options.horizontal - Whether values run along the x axis
+ * @returns {Array} Array of Plot marks
+ */
+function bracketMarks(brackets, options) {
+    const { horizontal } = options;
+    const facet = horizontal ? 'fy' : 'fx';
+
+    // Drawn in the band of the first category, reaching across to the second
+    const render = (index, scales, values, dimensions, context) => {
+        const g = createElement('svg:g', context.document)
+            .attr('fill', 'currentColor')
+            .attr('font-size', 10);
+        index.forEach(i => {
+            const bracket = brackets[i];
+            const start = horizontal ? scales.y(0) : scales.x(0);
+            const end = start + scales[facet](bracket.to) - scales[facet](bracket.from);
+            const middle = (start + end) / 2;
+            if (horizontal) {
+                const x = dimensions.width - dimensions.marginRight + BRACKET_GAP + bracket.level * BRACKET_STEP;
+                g.append('path')
+                    .attr('d', `M${x - BRACKET_TICK},${start}H${x}V${end}H${x - BRACKET_TICK}`)
+                    .attr('fill', 'none')
+                    .attr('stroke', 'currentColor');
+                g.append('text')
+                    .attr('transform', `translate(${x + 3},${middle}) rotate(90)`)
+                    .attr('text-anchor', 'middle')
+                    .text(bracket.label);
+            } else {
+                const y = dimensions.marginTop - BRACKET_GAP - bracket.level * BRACKET_STEP;
+                g.append('path')
+                    .attr('d', `M${start},${y + BRACKET_TICK}V${y}H${end}V${y + BRACKET_TICK}`)
+                    .attr('fill', 'none')
+                    .attr('stroke', 'currentColor');
+                g.append('text')
+                    .attr('x', middle)
+                    .attr('y', y - 3)
+                    .attr('text-anchor', 'middle')
+                    .text(bracket.label);
+            }
+        });
+        return g.node();
+    };
+
+    return [
+        Plot.text(brackets, {
+            [facet]: 'from',
+            text: 'label',
+            frameAnchor: 'middle',
+            render
+        })
+    ];
+}
+
+/**
+ * Build the marks connecting paired records and, optionally, the labels
+ * summarizing their differences
+ * @param {Array} links - Links from pairLinks
+ * @param {Array} summary - Rows from pairSummary
+ * @param {Object} options - Pair options
+ * @param {boolean} options.horizontal - Whether values run along the x axis
+ * @param {Function} options.formatCategory - Formats a category for the summary labels
+ * @returns {Array} Array of Plot marks
+ */
+function pairMarks(links, summary, options) {
+    const {
+        horizontal,
+        pairColor,
+        pairColors,
+        pairOpacity,
+        pairStrokeWidth,
+        showPairSummary,
+        formatCategory = String
+    } = options;
+
+    const facet = horizontal ? 'fy' : 'fx';
+    const colors = { increase: '#2ca02c', decrease: '#d62728', unchanged: '#999999', ...pairColors };
+    const strokeOf = pairColor === 'direction' ? link => colors[link.direction] : () => pairColor;
+
+    const marks = [
+        crossBandLinks(links, {
+            horizontal,
+            key: link => `pair:${link.id}:${link.from}`,
+            stroke: strokeOf,
+            strokeWidth: pairStrokeWidth,
+            strokeOpacity: pairOpacity
+        })
+    ];
+
+    if (showPairSummary && summary.length > 0) {
+        const format = d3.format('+.3~g');
+        const line = d => `${formatCategory(d.from)} → ${formatCategory(d.to)}: median Δ ${format(d.median)} (↑${d.increased} ↓${d.decreased})`;
+        // One label per destination band, a line per source category
+        const labels = d3.groups(summary, d => d.to).map(([to, rows]) => ({ to, text: rows.map(line).join('\n') }));
+        marks.push(
+            Plot.text(labels, {
+                [facet]: 'to',
+                frameAnchor: 'top-right',
+                text: 'text',
+                fontSize: 10,
+                fill: '#555555'
+            })
+        );
+    }
+
+    return marks;
+}
+
+/**
+ * Wrap a mark's render so that each element it draws carries a stable key,
+ * letting later renders match elements to the records behind them
+ * @param {Array} data - The mark's data
+ * @param {Function} keyOf - Key for a datum and its index in data
+ * @returns {Function} Plot render transform
+ */
+function keyedRender(data, keyOf) {
+    return (index, scales, values, dimensions, context, next) => {
+        const g = next(index, scales, values, dimensions, context);
+        // Plot draws one element per index entry, in index order; clipped
+        // marks wrap them in an extra group carrying the clip path
+        const container = g.hasAttribute('clip-path') && g.firstElementChild ? g.firstElementChild : g;
+        const elements = container.children;
+        index.forEach((i, j) => {
+            if (elements[j]) elements[j].setAttribute(KEY_ATTRIBUTE, keyOf(data[i], i));
+        });
+        return g;
+    };
+}
+
+/**
+ * Wrap a label mark's render so that each label clears its own dot, moving it
+ * by the dot's radius plus a gap, since the size option gives every dot its own
+ * @param {Array} data - The mark's data
+ * @param {Function} radiusOf - Radius of the dot behind a datum
+ * @param {string} channel - 'y' to move labels up, 'x' to move them right
+ * @param {number} gap - Pixels between the dot's edge and the label
+ * @param {Function} render - Render transform to pass the moved labels to
+ * @returns {Function} Plot render transform
+ */
+function labelRender(data, radiusOf, channel, gap, render) {
+    return (index, scales, values, dimensions, context, next) => {
+        const sign = channel === 'y' ? -1 : 1;
+        const moved = Float64Array.from(values[channel]);
+        index.forEach(i => {
+            moved[i] += sign * (radiusOf(data[i]) + gap);
+        });
+        return render(index, scales, { ...values, [channel]: moved }, dimensions, context, next);
+    };
+}
+
+/**
+ * Key function for point marks: the key option when given, else the record's index
+ * @param {string|Function} key - Key field name or accessor
+ * @param {string} prefix - Prefix telling marks apart
+ * @returns {Function} Key function for keyedRender
+ */
+function recordKey(key, prefix) {
+    const keyOf = key == null ? null : typeof key === 'function' ? key : d => d[key];
+    return (d, i) => `${prefix}:${keyOf ? keyOf(d) : i}`;
+}
+
+/**
+ * Key function for statistic rules: one per category (and color subgroup)
+ * @param {string} stat - Statistic name
+ * @returns {Function} Key function for keyedRender
+ */
+function statKey(stat) {
+    return d => d.colorGroup === undefined
+        ? `${stat}:${d.category}`
+        : `${stat}:${d.category}:${d.colorGroup}`;
+}
+
+// Charts with more points than this draw their dots on a canvas when renderer is 'auto'
+const CANVAS_THRESHOLD = 10000;
+
+/**
+ * Decide how to draw the dots: one SVG element per point, or a canvas. Documents
+ * without a canvas, such as jsdom's, always get SVG.
+ * @param {string} renderer - 'auto', 'svg' or 'canvas'
+ * @param {number} count - Number of points in the chart
+ * @param {number} threshold - Point count above which 'auto' picks the canvas
+ * @param {boolean} selectable - Whether points can be selected, which needs SVG elements
+ * @param {Document} document - Document the chart is created in
+ * @returns {string} 'svg' or 'canvas'
+ */
+function chooseRenderer(renderer, count, threshold, selectable, document) {
+    if (renderer !== 'auto' && renderer !== 'svg' && renderer !== 'canvas') {
+        throw new Error(`Unknown renderer "${renderer}"; use "auto", "svg" or "canvas"`);
+    }
+    if (renderer === 'canvas' && selectable) {
+        throw new Error('Selection needs one element per point; use renderer: "svg" with selectable or brush');
+    }
+    if (!document?.defaultView?.CanvasRenderingContext2D) return 'svg';
+    if (renderer === 'auto') return count > threshold && !selectable ? 'canvas' : 'svg';
+    return renderer;
+}
+
+/**
+ * Translate an SVG paint value into a canvas style. Canvas ignores 'none' and
+ * 'currentColor', which would leave the previous point's style in place.
+ * @param {string} color - Fill or stroke value from the mark
+ * @param {string} current - Color that 'currentColor' stands for
+ * @returns {string|null} Canvas style, or null when nothing should be painted
+ */
+function canvasPaint(color, current) {
+    if (color == null || color === 'none') return null;
+    return /^currentcolor$/i.test(color) ? current : color;
+}
+
+/**
+ * Render transform that draws a dot mark on a canvas and places it in the
+ * chart as a single image, instead of one SVG element per point. Points are
+ * filled one at a time so overlapping dots still build up opacity.
+ * @returns {Function} Plot render transform, called with the dot mark as this
+ */
+function canvasRender() {
+    return function (index, scales, values, dimensions, context) {
+        const { document, ownerSVGElement } = context;
+        // The chart is not in the page yet, so currentColor falls back to Plot's black text
+        const current = document.defaultView.getComputedStyle?.(ownerSVGElement).color || 'black';
+        const { width, height, marginTop, marginRight, marginBottom, marginLeft } = dimensions;
+        const ratio = document.defaultView.devicePixelRatio || 1;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(width * ratio);
+        canvas.height = Math.ceil(height * ratio);
+        const drawing = canvas.getContext('2d');
+        drawing.scale(ratio, ratio);
+        if (this.clip) {
+            drawing.beginPath();
+            drawing.rect(marginLeft, marginTop, width - marginLeft - marginRight, height - marginTop - marginBottom);
+            drawing.clip();
+        }
+
+        // Channels where the mark has them, else the mark's constant styles;
+        // Plot leaves out the implied ones, a currentColor fill and no stroke
+        const { x: X, y: Y, r: R, symbol: S, fill: F, fillOpacity: FO, stroke: ST } = values;
+        drawing.lineWidth = this.strokeWidth ?? 1;
+        for (const i of index) {
+            const r = R ? R[i] : this.r;
+            if (!(r > 0) || !Number.isFinite(X[i]) || !Number.isFinite(Y[i])) continue;
+            const symbol = S ? S[i] : this.symbol;
+            drawing.beginPath();
+            if (symbol === d3.symbolCircle) {
+                drawing.arc(X[i], Y[i], r, 0, 2 * Math.PI);
+            } else {
+                drawing.translate(X[i], Y[i]);
+                symbol.draw(drawing, r * r * Math.PI);
+                drawing.translate(-X[i], -Y[i]);
+            }
+            const fill = canvasPaint(F ? F[i] : this.fill ?? 'currentColor', current);
+            if (fill) {
+                drawing.globalAlpha = FO ? FO[i] : this.fillOpacity ?? 1;
+                drawing.fillStyle = fill;
+                drawing.fill();
+            }
+            const outline = canvasPaint(ST ? ST[i] : this.stroke, current);
+            if (outline) {
+                drawing.globalAlpha = this.strokeOpacity ?? 1;
+                drawing.strokeStyle = outline;
+                drawing.stroke();
+            }
+        }
+
+        return createElement('svg:image', document)
+            .attr('class', 'alphaswarm-canvas')
+            .attr('width', width)
+            .attr('height', height)
+            .attr('preserveAspectRatio', 'none')
+            .attr('href', canvas.toDataURL())
+            .node();
+    };
+}
+
+/**
+ * Move the canvas dot layers below the axes and the other marks. Plot draws
+ * marks in order, after its axes, so the images start out on top of them.
+ * @param {Element} plot - Chart element returned by Plot.plot
+ */
+function lowerCanvasLayers(plot) {
+    const svg = chartSvg(plot);
+    const layers = new Set();
+    plot.querySelectorAll('image.alphaswarm-canvas').forEach(image => {
+        let layer = image;
+        while (layer.parentNode !== svg) layer = layer.parentNode;
+        layers.add(layer);
+    });
+    // Styles stay first; the layers keep their order, so outliers remain on top of the dots
+    const after = [...svg.children].find(child => child.tagName.toLowerCase() !== 'style' && !layers.has(child)) ?? null;
+    layers.forEach(layer => svg.insertBefore(layer, after));
+}
+
+/**
+ * Compute the jitter offset of every record, category by category
+ * @param {Array} data - Array of data objects
+ * @param {Array} categories - Category values in display order
+ * @param {Object} params - Layout inputs
+ * @param {string} params.valueField - Field plotted along the value axis
+ * @param {Function} params.categoryOf - Category accessor
+ * @param {Function} params.radiusOf - Per-record radius, or null for pointRadius
+ * @param {number} params.valueRange - Pixel length of the value axis
+ * @param {number} params.bandRange - Pixel length of the category axis
+ * @returns {number[]} Offsets aligned with data, with an overflow property listing
+ *     the indices of beeswarm points that did not fit in their band
+ */
+function jitterLayout(data, categories, params) {
+    const {
+        valueField,
+        categoryOf,
+        jitter,
+        jitterMethod,
+        pointRadius,
+        radiusOf,
+        valueRange,
+        bandRange,
+        padding,
+        domain
+    } = params;
+
+    const geometry = swarmGeometry(
+        data.map(d => d[valueField]),
+        valueRange,
+        bandRange,
+        categories.length,
+        padding,
+        domain
+    );
+    const indicesByCategory = d3.group(d3.range(data.length), i => categoryOf(data[i]));
+    const offsets = new Array(data.length);
+    offsets.overflow = [];
 
-// Add error checking for dependencies
-if (!Plot) {
-    throw new Error('Observable Plot is not available. Make sure it is loaded before this script.');
+    categories.forEach((category, categoryIndex) => {
+        const indices = indicesByCategory.get(category) ?? [];
+        // Use a deterministic seed based on category to ensure consistent jitter
+        const seed = 12345 + categoryIndex * 1000;
+        const jitterCoords = generateJitter(indices.length, jitter, jitterMethod, seed, {
+            values: indices.map(i => data[i][valueField]),
+            radius: radiusOf ? indices.map(i => radiusOf(data[i])) : pointRadius,
+            ...geometry
+        });
+        indices.forEach((index, i) => {
+            offsets[index] = jitterCoords[i];
+        });
+        (jitterCoords.overflow ?? []).forEach(i => offsets.overflow.push(indices[i]));
+    });
+
+    return offsets;
 }
-if (!d3) {
-    throw new Error('D3 is not available. Make sure it is loaded before this script.');
+
+/**
+ * Compare two lists of layout inputs, looking one level into arrays
+ * @param {Array} a - First list
+ * @param {Array} b - Second list
+ * @returns {boolean} Whether every input is the same
+ */
+function sameInputs(a, b) {
+    if (!a || !b || a.length !== b.length) return false;
+    return a.every((value, i) => {
+        const other = b[i];
+        if (Array.isArray(value) && Array.isArray(other)) {
+            return value.length === other.length && value.every((v, j) => Object.is(v, other[j]));
+        }
+        return Object.is(value, other);
+    });
 }
 
 /**
- * Calculate basic statistics for a dataset
- * @param {number[]} values - Array of numeric values
- * @returns {Object} Statistics object with mean, median, min, max, q1, q3
+ * Return a cached result when none of its inputs changed, computing and
+ * storing it otherwise. Each result (validation, statistics, jitter layout)
+ * has its own entry, so changing an input of one leaves the others cached.
+ * @param {Object|null} cache - Cache object owned by an AlphaswarmChart, or null
+ * @param {string} name - Cache entry
+ * @param {Array} inputs - Everything the result depends on
+ * @param {Function} compute - Computes the result
+ * @returns {*} The cached or computed result
  */
-export function calculateStats(values) {
-    if (!values || values.length === 0) {
-        return { mean: 0, median: 0, min: 0, max: 0, q1: 0, q3: 0, count: 0 };
+function cached(cache, name, inputs, compute) {
+    const entry = cache?.[name];
+    if (entry && sameInputs(entry.inputs, inputs)) {
+        return entry.value;
     }
-    
-    const sorted = [...values].sort((a, b) => a - b);
-    const n = sorted.length;
-    
-    const mean = values.reduce((sum, val) => sum + val, 0) / n;
-    const median = n % 2 === 0 
-        ? (sorted[n / 2 - 1] + sorted[n / 2]) / 2
-        : sorted[Math.floor(n / 2)];
-    
-    const q1Index = Math.floor(n * 0.25);
-    const q3Index = Math.floor(n * 0.75);
-    const q1 = sorted[q1Index];
-    const q3 = sorted[q3Index];
-    
-    return {
-        mean,
-        median,
-        min: sorted[0],
-        max: sorted[n - 1],
-        q1,
-        q3,
-        count: n
+    const value = compute();
+    if (cache) cache[name] = { inputs, value };
+    return value;
+}
+
+/**
+ * Domain of a color or symbol encoding across all the data: the extent for
+ * continuous color scales, otherwise the sorted distinct values
+ * @param {Array} data - Array of data objects
+ * @param {Function} valueOf - Encoded value accessor
+ * @param {boolean} continuous - Whether the scale is continuous
+ * @returns {Array} Scale domain
+ */
+function encodingDomain(data, valueOf, continuous) {
+    const values = data.map(valueOf).filter(v => v != null);
+    return continuous ? d3.extent(values) : d3.sort(new Set(values));
+}
+
+/**
+ * Validate chart data against the options that name its fields, reusing the
+ * previous result while the data and those options are unchanged
+ * @param {Array} data - Array of data objects
+ * @param {Object} options - Chart options
+ * @param {Object|null} layoutCache - Cache object owned by an AlphaswarmChart, or null
+ * @param {boolean} horizontal - Whether values run along the x axis
+ * @returns {Object} Object with data and dropped (see validateData)
+ */
+function checkedData(data, options, layoutCache, horizontal) {
+    const valueOption = horizontal ? 'x' : 'y';
+    const categoryOption = horizontal ? 'y' : 'x';
+    const settings = {
+        mode: options.validation ?? 'strict',
+        valueField: options[valueOption] ?? 'value',
+        categoryField: options[categoryOption] ?? 'category',
+        valueOption,
+        categoryOption,
+        fields: {
+            facet: options.facet,
+            color: options.color,
+            size: options.size,
+            symbol: options.symbol,
+            weight: options.weight,
+            pairBy: options.pairBy
+        },
+        // Weights and sizes are read as numbers; records without a size get the smallest dot
+        numericFields: {
+            weight: { field: options.weight ?? null, nonNegative: true },
+            size: { field: options.size ?? null, required: false }
+        },
+        timeCategories: options.timeBin != null,
+        // Folded categories can't be too many
+        categoryLimit: options.maxCategories != null ? null : (options.categoryLimit ?? null)
     };
+    const inputs = [data, settings.mode, settings.valueField, settings.categoryField, settings.timeCategories,
+        settings.categoryLimit, ...Object.values(settings.fields)];
+    return cached(layoutCache, 'validated', inputs, () => validateData(data, settings));
 }
 
 /**
- * Generate jittered y-coordinates for data points
- * @param {number} count - Number of data points
- * @param {number} jitter - Jitter amount (0-1)
- * @param {string} method - Jittering method ('random' or 'uniform')
- * @param {number} seed - Seed for deterministic random generation
- * @returns {number[]} Array of y-coordinates
+ * Render a grid of swarms, one panel per value of the facet field. Panels
+ * share their categories, color, size and symbol scales, and by default
+ * their value domain; legends are drawn once above the grid.
+ * @param {Array} input - Array of data objects, validated before use
+ * @param {Object} options - Chart options, including facet
+ * @param {Object|null} layoutCache - Cache of statistics and jitter layout, or null to always recompute
+ * @param {boolean} horizontal - Whether the panels are horizontal charts
+ * @returns {HTMLElement} Figure holding the legends and the panel grid
  */
-export function generateJitter(count, jitter = 0.5, method = 'random', seed = 12345) {
-    const coords = [];
-    
-    if (method === 'uniform') {
-        // Distribute points uniformly within the jitter range
-        for (let i = 0; i < count; i++) {
-            const position = (i / (count - 1)) - 0.5; // -0.5 to 0.5
-            coords.push(position * jitter);
+function renderFacets(input, options, layoutCache, horizontal) {
+    const { data, dropped } = checkedData(input, options, layoutCache, horizontal);
+    const {
+        facet,
+        facetColumns = 2,
+        facetScales = 'shared',
+        facetLabel = null,
+        width = 800,
+        title = null,
+        showLegend = true,
+        color = null,
+        colorType = null,
+        colorScheme = null,
+        colorPalette = null,
+        colorLabel = null,
+        size = null,
+        sizeDomain = null,
+        sizeRange = [2, 12],
+        sizeLabel = null,
+        symbol = null,
+        symbolLabel = null,
+        toolbar = null,
+        renderer = 'auto',
+        canvasThreshold = CANVAS_THRESHOLD,
+        document = globalThis.document
+    } = options;
+
+    if (facetScales !== 'shared' && facetScales !== 'independent') {
+        throw new Error(`Unknown facetScales "${facetScales}"; use "shared" or "independent"`);
+    }
+
+    const valueField = (horizontal ? options.x : options.y) ?? 'value';
+    const categoryField = (horizontal ? options.y : options.x) ?? 'category';
+    const domainOption = horizontal ? 'xDomain' : 'yDomain';
+    const facetOf = typeof facet === 'function' ? facet : d => d[facet];
+
+    // Scales shared by every panel, and one reading of the weights
+    const weightOf = options.weight == null ? null
+        : typeof options.weight === 'function' ? options.weight : d => d[options.weight];
+    const weightType = weightOf ? resolveWeightType(options.weightType ?? 'auto', data.map(weightOf)) : options.weightType;
+    const { categories } = orderCategories(data, categoryAccessor(categoryField, options.timeBin), d => d[valueField], {
+        sort: options.sort ?? (options.timeBin != null ? chronological : null),
+        sortOrder: options.sortOrder,
+        maxCategories: options.maxCategories,
+        otherLabel: options.otherLabel,
+        quantileType: options.quantileType,
+        weightOf,
+        weightType,
+        skipMissing: options.timeBin != null
+    });
+    const valueDomain = options[domainOption] ?? (facetScales === 'shared'
+        ? d3.nice(...d3.extent(data, d => d[valueField]), 10)
+        : null);
+    const colorOf = colorAccessor(color);
+    const colorDomain = options.colorDomain ?? (colorOf && encodingDomain(
+        data,
+        colorOf,
+        colorType === 'sequential' || colorType === 'diverging' ||
+            (colorType == null && data.every(d => colorOf(d) == null || typeof colorOf(d) === 'number'))
+    ));
+    const radiusOf = sizeScale(data, size, sizeDomain, sizeRange);
+    const symbolOf = symbol == null ? null : typeof symbol === 'function' ? symbol : d => d[symbol];
+    const symbolDomain = options.symbolDomain ?? (symbolOf && encodingDomain(data, symbolOf, false));
+
+    const columns = Math.max(1, Math.floor(facetColumns));
+    const panelWidth = Math.floor(width / columns);
+    const panelCaches = layoutCache ? (layoutCache.panels ??= new Map()) : null;
+    // Every panel draws its dots the same way, decided by the total point count
+    const panelRenderer = chooseRenderer(renderer, data.length, canvasThreshold,
+        Boolean(options.selectable || options.brush), document);
+
+    const panels = [...d3.group(data, facetOf)].map(([value, panelData]) => {
+        let cache = null;
+        if (panelCaches) {
+            if (!panelCaches.has(value)) panelCaches.set(value, {});
+            cache = panelCaches.get(value);
         }
-        // Shuffle to avoid systematic patterns using seeded random
-        const seededRandom = d3.randomLcg(seed);
-        return d3.shuffle(coords, seededRandom);
-    } else {
-        // Seeded random jittering for consistent results
-        const seededRandom = d3.randomLcg(seed);
-        for (let i = 0; i < count; i++) {
-            coords.push((seededRandom() - 0.5) * jitter);
+        const render = horizontal ? renderAlphaswarmChart : renderVerticalAlphaswarmChart;
+        const chart = render(panelData, {
+            ...options,
+            facet: null,
+            title: facetLabel ? `${facetLabel}: ${value}` : String(value),
+            width: panelWidth,
+            [domainOption]: valueDomain,
+            colorDomain: colorDomain ?? null,
+            sizeDomain: radiusOf ? radiusOf.scale.domain() : sizeDomain,
+            symbolDomain: symbolDomain ?? null,
+            showLegend: false,
+            toolbar: null,
+            renderer: panelRenderer,
+            weightType,
+            // The figure reports selections across every panel (below)
+            onSelect: null,
+            // Already validated as a whole
+            validation: 'off'
+        }, cache, categories);
+        return { facet: value, chart };
+    });
+
+    const figure = createElement('figure', document)
+        .attr('class', 'alphaswarm-facets')
+        .style('margin', 0);
+    if (title != null) figure.append('h2').text(title);
+
+    if (showLegend) {
+        if (colorOf) {
+            figure.append(() => Plot.legend({
+                color: {
+                    ...colorScaleOptions({ color, colorType, colorScheme, colorPalette, colorLabel, colorDomain }),
+                    legend: true
+                },
+                document
+            }));
         }
-        return coords;
+        if (symbolOf) {
+            figure.append(() => Plot.legend({
+                symbol: {
+                    domain: symbolDomain,
+                    label: symbolLabel ?? (typeof symbol === 'string' ? symbol : undefined),
+                    legend: true
+                },
+                document
+            }));
+        }
+        if (radiusOf) {
+            figure.append(() => sizeLegend(radiusOf.scale, sizeLabel ?? (typeof size === 'string' ? size : null), document));
+        }
+    }
+
+    const grid = figure.append('div')
+        .attr('class', 'alphaswarm-facet-grid')
+        .style('display', 'grid')
+        .style('grid-template-columns', `repeat(${columns}, ${panelWidth}px)`);
+    panels.forEach(panel => grid.append(() => panel.chart));
+
+    const node = figure.node();
+    if (toolbar) attachToolbar(node, toolbar === true ? {} : toolbar);
+    node.panels = panels;
+    // Hand flagged records, plotted points and statistics back to the caller
+    node.outliers = panels.flatMap(panel => panel.chart.outliers);
+    node.points = panels.flatMap(panel => panel.chart.points.map(d => ({ facet: panel.facet, ...d })));
+    node.stats = panels.flatMap(panel => panel.chart.stats.map(row => ({ facet: panel.facet, ...row })));
+    node.dropped = dropped;
+    node.overflow = panels.flatMap(panel => panel.chart.overflow);
+    node.warnings = [...new Set(panels.flatMap(panel => panel.chart.warnings))];
+    node.renderer = panelRenderer;
+    if (options.compare) {
+        node.comparisons = panels.flatMap(panel => panel.chart.comparisons
+            .map(row => ({ facet: panel.facet, ...row })));
+    }
+    if (options.pairBy != null) {
+        node.pairedDifferences = panels.flatMap(panel => panel.chart.pairedDifferences
+            .map(row => ({ facet: panel.facet, ...row })));
+    }
+    if (options.selectable || options.brush) {
+        node.setSelection = selection => panels.forEach(panel => panel.chart.setSelection(selection));
+        node.getSelection = () => panels.flatMap(panel => panel.chart.getSelection());
+        // A panel's selection event holds only its own records; report the
+        // selection of the whole figure instead, once
+        node.addEventListener('selection', event => {
+            if (event.target === node) return;
+            event.stopPropagation();
+            const records = node.getSelection();
+            if (options.onSelect) options.onSelect(records);
+            const { CustomEvent } = node.ownerDocument.defaultView ?? globalThis;
+            node.dispatchEvent(new CustomEvent('selection', { detail: { records }, bubbles: true }));
+        });
     }
+    return node;
 }
 
 /**
@@ -90,140 +1667,481 @@ export function generateJitter(count, jitter = 0.5, method = 'random', seed = 12
  * @returns {Object} Observable Plot object
  */
 export function createAlphaswarmChart(data, options = {}) {
-    try {
-        const {
-            x = "value",                    // x-axis field name
-            y = "category",                 // y-axis field name (for grouping)
-            width = 800,
-            height = 400,
-            marginLeft = 100,
-            marginRight = 40,
-            marginTop = 20,
-            marginBottom = 40,
-            opacity = 0.6,
-            jitter = 0.5,
-            jitterMethod = 'random',
-            pointRadius = 4,
-            pointColor = "#4285f4",
-            showMean = true,
-            showMedian = true,
-            showTooltips = false,
-            xLabel = null,
-            yLabel = null,
-            xDomain = null,
-            title = null
-        } = options;
-
-        // Validate data
-        if (!data || !Array.isArray(data) || data.length === 0) {
-            throw new Error('Data must be a non-empty array');
-        }
+    return renderAlphaswarmChart(data, options, null);
+}
+
+/**
+ * Render a horizontal alphaswarm chart, reusing cached statistics and jitter layout when possible
+ * @param {Array} input - Array of data objects, validated before use
+ * @param {Object} options - Configuration options
+ * @param {Object|null} layoutCache - Cache of statistics and jitter layout, or null to always recompute
+ * @param {Array|null} categoryDomain - Category order shared with other facet panels
+ * @returns {Object} Observable Plot object
+ */
+function renderAlphaswarmChart(input, options, layoutCache, categoryDomain = null) {
+    if (options.facet != null) {
+        return renderFacets(input, options, layoutCache, true);
+    }
+    const { data, dropped } = checkedData(input, options, layoutCache, true);
+    const {
+        x = "value",                    // x-axis field name
+        y = "category",                 // y-axis field name (for grouping)
+        width = 800,
+        height = 400,
+        marginLeft = 100,
+        marginRight: baseMarginRight = 40,
+        marginTop = 20,
+        marginBottom = 40,
+        opacity = 0.6,
+        jitter = 0.5,
+        jitterMethod = 'random',
+        pointRadius = 4,
+        pointColor = "#4285f4",
+        showMean = true,
+        showMedian = true,
+        showTooltips = false,
+        key = null,
+        quantileType = 7,
+        weight = null,
+        weightType: weightTypeOption = 'auto',
+        showIQR = false,
+        iqrColor = "#4285f4",
+        iqrOpacity = 0.15,
+        showWhiskers = false,
+        whiskerColor = "#555555",
+        whiskerOpacity = 0.8,
+        whiskerMultiplier = 1.5,
+        showBoxPlot = false,
+        boxColor = "#333333",
+        boxOpacity = 0.8,
+        outliers = null,
+        outlierColor = "#e74c3c",
+        outlierOpacity = 0.9,
+        outlierLabel = null,
+        showMeanCI = false,
+        showMedianCI = false,
+        ciLevel = 0.95,
+        ciResamples = 1000,
+        ciStyle = 'bar',
+        color = null,
+        colorType = null,
+        colorScheme = null,
+        colorPalette = null,
+        colorLabel = null,
+        colorDomain = null,
+        showLegend = true,
+        statsByColor = false,
+        size = null,
+        sizeDomain = null,
+        sizeRange = [2, 12],
+        sizeLabel = null,
+        symbol = null,
+        symbolLabel = null,
+        symbolDomain = null,
+        sort = null,
+        sortOrder = 'ascending',
+        maxCategories = null,
+        otherLabel = 'Other',
+        pairBy = null,
+        pairColor = 'direction',
+        pairColors = null,
+        pairOpacity = 0.5,
+        pairStrokeWidth = 1,
+        showPairSummary = false,
+        timeBin = null,
+        timeFormat = null,
+        trendLine = null,
+        trendColor = "#333333",
+        showDensity = false,
+        densitySide = 'top',
+        densityStyle = 'violin',
+        densityScale = 'shared',
+        densityKernel = 'gaussian',
+        densityBandwidth = 'silverman',
+        densityColor = "#4285f4",
+        densityOpacity = 0.2,
+        compare = null,
+        toolbar = null,
+        renderer = 'auto',
+        canvasThreshold = CANVAS_THRESHOLD,
+        document = globalThis.document,
+        xLabel = null,
+        yLabel = null,
+        xDomain = null,
+        title = null,
+        selectable = false,
+        brush = false,
+        selection = null,
+        onSelect = null,
+        selectedColor = "#ff9800",
+        unselectedOpacity = 0.2
+    } = options;
 
-        // Get categories first (needed for both paths)
-        const categories = [...new Set(data.map(d => d[y]))];
+    // Order the categories, folding any past maxCategories into one group
+    const weightOf = weight == null ? null : typeof weight === 'function' ? weight : d => d[weight];
+    // Read the weights of every category the same way
+    const weightType = weightOf ? resolveWeightType(weightTypeOption, data.map(weightOf)) : weightTypeOption;
+    const { categories, categoryOf } = orderCategories(data, categoryAccessor(y, timeBin), d => d[x], {
+        sort: sort ?? (timeBin != null ? chronological : null),
+        sortOrder,
+        maxCategories,
+        otherLabel,
+        quantileType,
+        weightOf,
+        weightType,
+        domain: categoryDomain,
+        skipMissing: timeBin != null
+    });
+    const formatCategory = timeLabel(timeBin, timeFormat);
+    const facetPadding = 0.1;
 
-        // Use pre-processed data if provided, otherwise generate jittered coordinates
-        let processedData;
-        if (options._processedData) {
-            processedData = options._processedData;
-        } else {
-            processedData = [];
-            
-            categories.forEach((category, categoryIndex) => {
-                const categoryData = data.filter(d => d[y] === category);
-                // Use a deterministic seed based on category to ensure consistent jitter
-                const seed = 12345 + categoryIndex * 1000;
-                const jitterCoords = generateJitter(categoryData.length, jitter, jitterMethod, seed);
-                
-                categoryData.forEach((d, i) => {
-                    processedData.push({
-                        ...d,
-                        jitteredY: jitterCoords[i],
-                        originalCategory: d[y]
+    // Statistics for each category, flagging outliers along the way. They are
+    // cached across renders while the data and the options they read stay the same.
+    const colorOf = colorAccessor(color);
+    const bySubgroup = statsByColor && colorOf != null;
+    const { statsData, densities, groups, outlierRecords, subgroups } = cached(
+        layoutCache,
+        'stats',
+        ['horizontal', data, x, y, timeBin, categories, otherLabel, quantileType, weight, weightType, outliers,
+            whiskerMultiplier, showDensity, densityBandwidth, densityKernel, xDomain, showMeanCI, showMedianCI,
+            ciLevel, ciResamples, bySubgroup, color],
+        () => {
+            const outlierRecords = [];
+            const densities = [];
+            const groups = [];
+            // Group the records in one pass rather than filtering once per category
+            const recordsByCategory = d3.group(data, categoryOf);
+            const statsData = categories.map((category, categoryIndex) => {
+                const categoryData = recordsByCategory.get(category) ?? [];
+                const values = categoryData.map(d => d[x]);
+                const weights = weightOf ? categoryData.map(weightOf) : null;
+                // Only frequency weights can be tested, as repeated values
+                groups.push({ category, values, weights: weightType === 'frequency' ? weights : null });
+                if (showDensity) {
+                    const { points } = kernelDensity(values, {
+                        bandwidth: densityBandwidth,
+                        kernel: densityKernel,
+                        extent: xDomain,
+                        weights,
+                        weightType
                     });
+                    densities.push({ category, points });
+                }
+                const stats = calculateStats(values, { quantileType, weights, weightType });
+                flagOutliers(categoryData, values, stats, outliers).forEach((flagged, i) => {
+                    if (flagged) outlierRecords.push(categoryData[i]);
                 });
+                const meanCI = showMeanCI ? meanConfidenceInterval(values, { level: ciLevel, weights, weightType }) : null;
+                // Seed the bootstrap per category, the same way the jitter is seeded
+                const medianCI = showMedianCI
+                    ? bootstrapConfidenceInterval(values, {
+                        level: ciLevel,
+                        resamples: ciResamples,
+                        seed: 12345 + categoryIndex * 1000,
+                        weights,
+                        weightType
+                    })
+                    : null;
+                return {
+                    category,
+                    ...stats,
+                    ...tukeyWhiskers(values, stats, whiskerMultiplier, weights),
+                    meanLow: meanCI?.low,
+                    meanHigh: meanCI?.high,
+                    medianLow: medianCI?.low,
+                    medianHigh: medianCI?.high
+                };
             });
-        }
 
-        // Calculate statistics for each category
-        const statsData = categories.map(category => {
-            const categoryData = data.filter(d => d[y] === category);
-            const values = categoryData.map(d => d[x]);
-            const stats = calculateStats(values);
             return {
-                category,
-                ...stats
+                statsData,
+                densities,
+                groups,
+                outlierRecords,
+                // Mean and median lines are computed per color subgroup when requested
+                subgroups: bySubgroup
+                    ? subgroupStats(data, categoryOf, x, colorOf, quantileType, weightOf, weightType)
+                    : null
             };
-        });
+        }
+    );
+    const outlierSet = new Set(outlierRecords);
+
+    // Significance tests between categories; their brackets need room right of the frame.
+    // They are cached with the statistics they test.
+    const comparison = comparisonSettings(compare);
+    // Problems that leave the chart usable are reported on it rather than logged
+    const warnings = [];
+    if (comparison && weight != null && weightType === 'sampling') {
+        warnings.push('Comparisons ignore sampling weights; each value is tested once');
+    }
+    const comparisons = comparison
+        ? cached(layoutCache, 'comparisons', [groups, ...Object.entries(comparison).flat()],
+            () => compareGroups(groups, comparison))
+        : null;
+    const brackets = comparison ? bracketRows(comparisons, categories, comparison) : [];
+    const marginRight = baseMarginRight + bracketSpace(brackets);
+
+    const ruleData = subgroups ?? statsData;
+
+    // Per-point radii when a size field is mapped to dot area
+    const radiusOf = sizeScale(data, size, sizeDomain, sizeRange);
 
-        // Start with a simple chart - just dots
-        const marks = [
+    // Jitter offsets are cached across renders while their inputs stay the same
+    const valueRange = width - marginLeft - marginRight;
+    const bandRange = height - marginTop - marginBottom;
+    const offsets = cached(
+        layoutCache,
+        'layout',
+        ['horizontal', data, x, y, timeBin, categories, otherLabel, jitter, jitterMethod, pointRadius, size, sizeDomain,
+            sizeRange, valueRange, bandRange, xDomain],
+        () => jitterLayout(data, categories, {
+            valueField: x,
+            categoryOf,
+            jitter,
+            jitterMethod,
+            pointRadius,
+            radiusOf,
+            valueRange,
+            bandRange,
+            padding: facetPadding,
+            domain: xDomain
+        })
+    );
+    // Beeswarm points that did not fit in their band overlap at its edge
+    const overflow = offsets.overflow.map(i => data[i]);
+    const processedData = data.map((d, i) => ({
+        ...d,
+        jitteredY: offsets[i],
+        originalCategory: categoryOf(d),
+        isOutlier: outlierSet.has(d)
+    }));
+
+    // Clip marks to the frame when the value axis has a fixed domain
+    const clip = xDomain != null;
+
+    // Large charts draw their dots on a canvas instead of one element per point
+    const canvas = chooseRenderer(renderer, data.length, canvasThreshold, selectable || brush, document) === 'canvas';
+
+    // Connect records sharing an ID across categories, from their jittered positions
+    const pairOf = pairBy == null ? null : typeof pairBy === 'function' ? pairBy : d => d[pairBy];
+    const links = pairOf ? pairLinks(processedData, categories, pairOf, x, 'jitteredY') : [];
+    const pairedDifferences = pairOf ? pairSummary(links, categories, quantileType) : null;
+
+    // Box-plot overlays and pair links sit behind SVG dots; canvas dots are lowered below every mark
+    const marks = [
+        ...summaryMarks(statsData, {
+            horizontal: true,
+            clip,
+            showIQR,
+            iqrColor,
+            iqrOpacity,
+            showWhiskers,
+            whiskerColor,
+            whiskerOpacity,
+            showBoxPlot,
+            boxColor,
+            boxOpacity
+        }),
+        ...(showDensity ? densityMarks(densities, {
+            horizontal: true,
+            clip,
+            densitySide,
+            densityStyle,
+            densityScale,
+            densityColor,
+            densityOpacity
+        }) : []),
+        ...(pairOf ? pairMarks(links, pairedDifferences, {
+            horizontal: true,
+            pairColor,
+            pairColors,
+            pairOpacity,
+            pairStrokeWidth,
+            showPairSummary,
+            formatCategory: formatCategory ?? undefined
+        }) : []),
+        Plot.dot(processedData, {
+            x: x,
+            y: d => d.jitteredY,
+            fy: "originalCategory",
+            fill: colorOf ? d => colorOf(d) : pointColor,
+            fillOpacity: opacity,
+            r: radiusOf ?? pointRadius,
+            symbol: symbol ?? undefined,
+            clip,
+            filter: d => !d.isOutlier,
+            render: canvas ? canvasRender() : keyedRender(processedData, recordKey(key, 'dot')),
+            ...(showTooltips ? tooltipOptions(data, x, y, yLabel, 'y', 'fy') : {})
+        })
+    ];
+
+    // Draw flagged outliers on top in their own style
+    if (outlierRecords.length > 0) {
+        marks.push(
             Plot.dot(processedData, {
                 x: x,
                 y: d => d.jitteredY,
                 fy: "originalCategory",
-                fill: pointColor,
-                fillOpacity: opacity,
-                r: pointRadius
+                fill: outlierColor,
+                fillOpacity: outlierOpacity,
+                stroke: outlierColor,
+                strokeWidth: 1.5,
+                r: radiusOf ? d => radiusOf(d) + 1 : pointRadius + 1,
+                symbol: symbol ?? undefined,
+                clip,
+                filter: d => d.isOutlier,
+                render: canvas ? canvasRender() : keyedRender(processedData, recordKey(key, 'dot')),
+                ...(showTooltips ? tooltipOptions(data, x, y, yLabel, 'y', 'fy') : {})
             })
-        ];
+        );
+    }
 
-        // Add mean lines if requested
-        if (showMean && statsData.length > 0) {
-            marks.push(
-                Plot.ruleX(statsData, {
-                    x: "mean",
-                    fy: "category",
-                    stroke: "#ff6b6b",
-                    strokeWidth: 2
-                })
-            );
-        }
+    if (outlierRecords.length > 0 && outlierLabel != null) {
+        marks.push(
+            Plot.text(processedData, {
+                x: x,
+                y: d => d.jitteredY,
+                fy: "originalCategory",
+                text: outlierLabel,
+                filter: d => d.isOutlier,
+                render: labelRender(processedData, radiusOf ?? (() => pointRadius), 'y', 6,
+                    keyedRender(processedData, recordKey(key, 'label'))),
+                fill: outlierColor,
+                clip
+            })
+        );
+    }
 
-        // Add median lines if requested
-        if (showMedian && statsData.length > 0) {
-            marks.push(
-                Plot.ruleX(statsData, {
-                    x: "median",
-                    fy: "category",
-                    stroke: "#4ecdc4",
-                    strokeWidth: 2
-                })
-            );
-        }
+    // Confidence intervals sit just beneath the mean and median lines
+    marks.push(
+        ...intervalMarks(statsData, {
+            horizontal: true,
+            clip,
+            showMeanCI,
+            showMedianCI,
+            ciStyle
+        })
+    );
 
-        const plotConfig = {
-            width,
-            height,
-            marginLeft,
-            marginRight,
-            marginTop,
-            marginBottom,
-            x: {
-                label: xLabel,
-                grid: true,
-                nice: true
-            },
-            fy: {
-                label: yLabel,
-                domain: categories,
-                padding: 0.1
-            },
-            y: {
-                domain: [-1, 1],
-                axis: null
-            },
-            marks
-        };
+    // Add mean lines if requested
+    if (showMean && ruleData.length > 0) {
+        marks.push(
+            Plot.ruleX(ruleData, {
+                x: "mean",
+                render: keyedRender(ruleData, statKey('mean')),
+                fy: "category",
+                stroke: bySubgroup ? "colorGroup" : "#ff6b6b",
+                strokeWidth: 2,
+                clip
+            })
+        );
+    }
 
-        const plot = Plot.plot(plotConfig);
-        
-        return plot;
-        
-    } catch (error) {
-        console.error('❌ Error in createAlphaswarmChart:', error);
-        throw error;
+    // Add median lines if requested
+    if (showMedian && ruleData.length > 0) {
+        marks.push(
+            Plot.ruleX(ruleData, {
+                x: "median",
+                render: keyedRender(ruleData, statKey('median')),
+                fy: "category",
+                stroke: bySubgroup ? "colorGroup" : "#4ecdc4",
+                strokeWidth: 2,
+                strokeDasharray: bySubgroup ? "4,3" : null,
+                clip
+            })
+        );
+    }
+
+    // Connect the per-category medians or means, e.g. across time buckets
+    if (trendLine != null) {
+        marks.push(...trendMarks(statsData, { horizontal: true, trendLine, trendColor }));
     }
+
+    if (brackets.length > 0) {
+        marks.push(...bracketMarks(brackets, { horizontal: true }));
+    }
+
+    const plotConfig = {
+        document,
+        width,
+        height,
+        marginLeft,
+        marginRight,
+        marginTop,
+        marginBottom,
+        title: title ?? undefined,
+        color: colorScaleOptions({
+            color,
+            colorType,
+            colorScheme,
+            colorPalette,
+            colorLabel,
+            colorDomain,
+            showLegend
+        }),
+        // Radii are computed up front so the jitter layout can use them
+        r: radiusOf ? { type: 'identity' } : undefined,
+        symbol: symbol == null ? undefined : {
+            domain: symbolDomain ?? undefined,
+            label: symbolLabel ?? (typeof symbol === 'string' ? symbol : undefined),
+            legend: showLegend
+        },
+        // The size legend and the toolbar go in a figure around the chart
+        figure: (radiusOf && showLegend) || toolbar ? true : undefined,
+        x: {
+            label: xLabel,
+            grid: true,
+            nice: xDomain == null,
+            domain: xDomain ?? undefined
+        },
+        fy: {
+            label: yLabel,
+            domain: categories,
+            padding: facetPadding,
+            tickFormat: formatCategory ?? undefined
+        },
+        y: {
+            domain: [-1, 1],
+            axis: null
+        },
+        marks
+    };
+
+    const plot = Plot.plot(plotConfig);
+    if (canvas) lowerCanvasLayers(plot);
+    if (radiusOf && showLegend) {
+        appendLegend(plot, sizeLegend(radiusOf.scale, sizeLabel ?? (typeof size === 'string' ? size : null), document));
+    }
+    if (toolbar) attachToolbar(plot, toolbar === true ? {} : toolbar);
+    // Hand flagged records, plotted points and statistics back to the caller
+    plot.outliers = outlierRecords;
+    plot.points = processedData;
+    plot.stats = statsData;
+    plot.dropped = dropped;
+    plot.overflow = overflow;
+    plot.warnings = warnings;
+    plot.renderer = canvas ? 'canvas' : 'svg';
+    if (pairedDifferences) plot.pairedDifferences = pairedDifferences;
+    if (comparisons) plot.comparisons = comparisons;
+
+    // Click, shift-click and brush selection, matched to records by dot key
+    if (selectable || brush) {
+        const dotKey = recordKey(key, 'dot');
+        attachSelection(plot, {
+            records: new Map(processedData.map((d, i) => [dotKey(d, i), data[i]])),
+            valueOf: d => d[x],
+            categoryOf,
+            horizontal: true,
+            brush,
+            selection,
+            onSelect,
+            selectedColor,
+            unselectedOpacity
+        });
+    }
+    
+    return plot;
 }
 
 /**
@@ -233,156 +2151,675 @@ export function createAlphaswarmChart(data, options = {}) {
  * @returns {Object} Observable Plot object
  */
 export function createVerticalAlphaswarmChart(data, options = {}) {
-    try {
-        const {
-            x = "category",                 // x-axis field name (for grouping)
-            y = "value",                    // y-axis field name
-            width = 600,
-            height = 400,
-            marginLeft = 60,
-            marginRight = 40,
-            marginTop = 20,
-            marginBottom = 60,
-            opacity = 0.6,
-            jitter = 0.5,
-            jitterMethod = 'random',
-            pointRadius = 4,
-            pointColor = "#4285f4",
-            showMean = true,
-            showMedian = true,
-            showTooltips = false,
-            xLabel = null,
-            yLabel = null,
-            yDomain = null,
-            title = null
-        } = options;
-
-        // Validate data
-        if (!data || !Array.isArray(data) || data.length === 0) {
-            throw new Error('Data must be a non-empty array');
-        }
+    return renderVerticalAlphaswarmChart(data, options, null);
+}
 
-        // Get categories first (needed for both paths)
-        const categories = [...new Set(data.map(d => d[x]))];
+// Static rendering draws with the chart functions above; passing them in
+// keeps static.js from importing this module
+export const { renderSvg, renderPng } = staticRenderers({
+    horizontal: createAlphaswarmChart,
+    vertical: createVerticalAlphaswarmChart
+});
 
-        // Use pre-processed data if provided, otherwise generate jittered coordinates
-        let processedData;
-        if (options._processedData) {
-            processedData = options._processedData;
-        } else {
-            processedData = [];
-            
-            categories.forEach((category, categoryIndex) => {
-                const categoryData = data.filter(d => d[x] === category);
-                // Use a deterministic seed based on category to ensure consistent jitter
-                const seed = 12345 + categoryIndex * 1000;
-                const jitterCoords = generateJitter(categoryData.length, jitter, jitterMethod, seed);
-                
-                categoryData.forEach((d, i) => {
-                    processedData.push({
-                        ...d,
-                        jitteredX: jitterCoords[i],
-                        originalCategory: d[x]
+/**
+ * Render a vertical alphaswarm chart, reusing cached statistics and jitter layout when possible
+ * @param {Array} input - Array of data objects, validated before use
+ * @param {Object} options - Configuration options
+ * @param {Object|null} layoutCache - Cache of statistics and jitter layout, or null to always recompute
+ * @param {Array|null} categoryDomain - Category order shared with other facet panels
+ * @returns {Object} Observable Plot object
+ */
+function renderVerticalAlphaswarmChart(input, options, layoutCache, categoryDomain = null) {
+    if (options.facet != null) {
+        return renderFacets(input, options, layoutCache, false);
+    }
+    const { data, dropped } = checkedData(input, options, layoutCache, false);
+    const {
+        x = "category",                 // x-axis field name (for grouping)
+        y = "value",                    // y-axis field name
+        width = 600,
+        height = 400,
+        marginLeft = 60,
+        marginRight = 40,
+        marginTop: baseMarginTop = 20,
+        marginBottom = 60,
+        opacity = 0.6,
+        jitter = 0.5,
+        jitterMethod = 'random',
+        pointRadius = 4,
+        pointColor = "#4285f4",
+        showMean = true,
+        showMedian = true,
+        showTooltips = false,
+        key = null,
+        quantileType = 7,
+        weight = null,
+        weightType: weightTypeOption = 'auto',
+        showIQR = false,
+        iqrColor = "#4285f4",
+        iqrOpacity = 0.15,
+        showWhiskers = false,
+        whiskerColor = "#555555",
+        whiskerOpacity = 0.8,
+        whiskerMultiplier = 1.5,
+        showBoxPlot = false,
+        boxColor = "#333333",
+        boxOpacity = 0.8,
+        outliers = null,
+        outlierColor = "#e74c3c",
+        outlierOpacity = 0.9,
+        outlierLabel = null,
+        showMeanCI = false,
+        showMedianCI = false,
+        ciLevel = 0.95,
+        ciResamples = 1000,
+        ciStyle = 'bar',
+        color = null,
+        colorType = null,
+        colorScheme = null,
+        colorPalette = null,
+        colorLabel = null,
+        colorDomain = null,
+        showLegend = true,
+        statsByColor = false,
+        size = null,
+        sizeDomain = null,
+        sizeRange = [2, 12],
+        sizeLabel = null,
+        symbol = null,
+        symbolLabel = null,
+        symbolDomain = null,
+        sort = null,
+        sortOrder = 'ascending',
+        maxCategories = null,
+        otherLabel = 'Other',
+        pairBy = null,
+        pairColor = 'direction',
+        pairColors = null,
+        pairOpacity = 0.5,
+        pairStrokeWidth = 1,
+        showPairSummary = false,
+        timeBin = null,
+        timeFormat = null,
+        trendLine = null,
+        trendColor = "#333333",
+        showDensity = false,
+        densitySide = 'right',
+        densityStyle = 'violin',
+        densityScale = 'shared',
+        densityKernel = 'gaussian',
+        densityBandwidth = 'silverman',
+        densityColor = "#4285f4",
+        densityOpacity = 0.2,
+        compare = null,
+        toolbar = null,
+        renderer = 'auto',
+        canvasThreshold = CANVAS_THRESHOLD,
+        document = globalThis.document,
+        xLabel = null,
+        yLabel = null,
+        yDomain = null,
+        title = null,
+        selectable = false,
+        brush = false,
+        selection = null,
+        onSelect = null,
+        selectedColor = "#ff9800",
+        unselectedOpacity = 0.2
+    } = options;
+
+    // Order the categories, folding any past maxCategories into one group
+    const weightOf = weight == null ? null : typeof weight === 'function' ? weight : d => d[weight];
+    // Read the weights of every category the same way
+    const weightType = weightOf ? resolveWeightType(weightTypeOption, data.map(weightOf)) : weightTypeOption;
+    const { categories, categoryOf } = orderCategories(data, categoryAccessor(x, timeBin), d => d[y], {
+        sort: sort ?? (timeBin != null ? chronological : null),
+        sortOrder,
+        maxCategories,
+        otherLabel,
+        quantileType,
+        weightOf,
+        weightType,
+        domain: categoryDomain,
+        skipMissing: timeBin != null
+    });
+    const formatCategory = timeLabel(timeBin, timeFormat);
+    const facetPadding = 0.1;
+
+    // Statistics for each category, flagging outliers along the way. They are
+    // cached across renders while the data and the options they read stay the same.
+    const colorOf = colorAccessor(color);
+    const bySubgroup = statsByColor && colorOf != null;
+    const { statsData, densities, groups, outlierRecords, subgroups } = cached(
+        layoutCache,
+        'stats',
+        ['vertical', data, y, x, timeBin, categories, otherLabel, quantileType, weight, weightType, outliers,
+            whiskerMultiplier, showDensity, densityBandwidth, densityKernel, yDomain, showMeanCI, showMedianCI,
+            ciLevel, ciResamples, bySubgroup, color],
+        () => {
+            const outlierRecords = [];
+            const densities = [];
+            const groups = [];
+            // Group the records in one pass rather than filtering once per category
+            const recordsByCategory = d3.group(data, categoryOf);
+            const statsData = categories.map((category, categoryIndex) => {
+                const categoryData = recordsByCategory.get(category) ?? [];
+                const values = categoryData.map(d => d[y]);
+                const weights = weightOf ? categoryData.map(weightOf) : null;
+                // Only frequency weights can be tested, as repeated values
+                groups.push({ category, values, weights: weightType === 'frequency' ? weights : null });
+                if (showDensity) {
+                    const { points } = kernelDensity(values, {
+                        bandwidth: densityBandwidth,
+                        kernel: densityKernel,
+                        extent: yDomain,
+                        weights,
+                        weightType
                     });
+                    densities.push({ category, points });
+                }
+                const stats = calculateStats(values, { quantileType, weights, weightType });
+                flagOutliers(categoryData, values, stats, outliers).forEach((flagged, i) => {
+                    if (flagged) outlierRecords.push(categoryData[i]);
                 });
+                const meanCI = showMeanCI ? meanConfidenceInterval(values, { level: ciLevel, weights, weightType }) : null;
+                // Seed the bootstrap per category, the same way the jitter is seeded
+                const medianCI = showMedianCI
+                    ? bootstrapConfidenceInterval(values, {
+                        level: ciLevel,
+                        resamples: ciResamples,
+                        seed: 12345 + categoryIndex * 1000,
+                        weights,
+                        weightType
+                    })
+                    : null;
+                return {
+                    category,
+                    ...stats,
+                    ...tukeyWhiskers(values, stats, whiskerMultiplier, weights),
+                    meanLow: meanCI?.low,
+                    meanHigh: meanCI?.high,
+                    medianLow: medianCI?.low,
+                    medianHigh: medianCI?.high
+                };
             });
-        }
 
-        // Calculate statistics for each category
-        const statsData = categories.map(category => {
-            const categoryData = data.filter(d => d[x] === category);
-            const values = categoryData.map(d => d[y]);
-            const stats = calculateStats(values);
             return {
-                category,
-                ...stats
+                statsData,
+                densities,
+                groups,
+                outlierRecords,
+                // Mean and median lines are computed per color subgroup when requested
+                subgroups: bySubgroup
+                    ? subgroupStats(data, categoryOf, y, colorOf, quantileType, weightOf, weightType)
+                    : null
             };
-        });
+        }
+    );
+    const outlierSet = new Set(outlierRecords);
+
+    // Significance tests between categories; their brackets need room above the frame.
+    // They are cached with the statistics they test.
+    const comparison = comparisonSettings(compare);
+    // Problems that leave the chart usable are reported on it rather than logged
+    const warnings = [];
+    if (comparison && weight != null && weightType === 'sampling') {
+        warnings.push('Comparisons ignore sampling weights; each value is tested once');
+    }
+    const comparisons = comparison
+        ? cached(layoutCache, 'comparisons', [groups, ...Object.entries(comparison).flat()],
+            () => compareGroups(groups, comparison))
+        : null;
+    const brackets = comparison ? bracketRows(comparisons, categories, comparison) : [];
+    const marginTop = baseMarginTop + bracketSpace(brackets);
+
+    const ruleData = subgroups ?? statsData;
+
+    // Per-point radii when a size field is mapped to dot area
+    const radiusOf = sizeScale(data, size, sizeDomain, sizeRange);
+
+    // Jitter offsets are cached across renders while their inputs stay the same
+    const valueRange = height - marginTop - marginBottom;
+    const bandRange = width - marginLeft - marginRight;
+    const offsets = cached(
+        layoutCache,
+        'layout',
+        ['vertical', data, y, x, timeBin, categories, otherLabel, jitter, jitterMethod, pointRadius, size, sizeDomain,
+            sizeRange, valueRange, bandRange, yDomain],
+        () => jitterLayout(data, categories, {
+            valueField: y,
+            categoryOf,
+            jitter,
+            jitterMethod,
+            pointRadius,
+            radiusOf,
+            valueRange,
+            bandRange,
+            padding: facetPadding,
+            domain: yDomain
+        })
+    );
+    // Beeswarm points that did not fit in their band overlap at its edge
+    const overflow = offsets.overflow.map(i => data[i]);
+    const processedData = data.map((d, i) => ({
+        ...d,
+        jitteredX: offsets[i],
+        originalCategory: categoryOf(d),
+        isOutlier: outlierSet.has(d)
+    }));
 
-        // Start with a simple chart - just dots
-        const marks = [
+    // Clip marks to the frame when the value axis has a fixed domain
+    const clip = yDomain != null;
+
+    // Large charts draw their dots on a canvas instead of one element per point
+    const canvas = chooseRenderer(renderer, data.length, canvasThreshold, selectable || brush, document) === 'canvas';
+
+    // Connect records sharing an ID across categories, from their jittered positions
+    const pairOf = pairBy == null ? null : typeof pairBy === 'function' ? pairBy : d => d[pairBy];
+    const links = pairOf ? pairLinks(processedData, categories, pairOf, y, 'jitteredX') : [];
+    const pairedDifferences = pairOf ? pairSummary(links, categories, quantileType) : null;
+
+    // Box-plot overlays and pair links sit behind SVG dots; canvas dots are lowered below every mark
+    const marks = [
+        ...summaryMarks(statsData, {
+            horizontal: false,
+            clip,
+            showIQR,
+            iqrColor,
+            iqrOpacity,
+            showWhiskers,
+            whiskerColor,
+            whiskerOpacity,
+            showBoxPlot,
+            boxColor,
+            boxOpacity
+        }),
+        ...(showDensity ? densityMarks(densities, {
+            horizontal: false,
+            clip,
+            densitySide,
+            densityStyle,
+            densityScale,
+            densityColor,
+            densityOpacity
+        }) : []),
+        ...(pairOf ? pairMarks(links, pairedDifferences, {
+            horizontal: false,
+            pairColor,
+            pairColors,
+            pairOpacity,
+            pairStrokeWidth,
+            showPairSummary,
+            formatCategory: formatCategory ?? undefined
+        }) : []),
+        Plot.dot(processedData, {
+            x: d => d.jitteredX,
+            y: y,
+            fx: "originalCategory",
+            fill: colorOf ? d => colorOf(d) : pointColor,
+            fillOpacity: opacity,
+            r: radiusOf ?? pointRadius,
+            symbol: symbol ?? undefined,
+            clip,
+            filter: d => !d.isOutlier,
+            render: canvas ? canvasRender() : keyedRender(processedData, recordKey(key, 'dot')),
+            ...(showTooltips ? tooltipOptions(data, y, x, xLabel, 'x', 'fx') : {})
+        })
+    ];
+
+    // Draw flagged outliers on top in their own style
+    if (outlierRecords.length > 0) {
+        marks.push(
             Plot.dot(processedData, {
                 x: d => d.jitteredX,
                 y: y,
                 fx: "originalCategory",
-                fill: pointColor,
-                fillOpacity: opacity,
-                r: pointRadius
+                fill: outlierColor,
+                fillOpacity: outlierOpacity,
+                stroke: outlierColor,
+                strokeWidth: 1.5,
+                r: radiusOf ? d => radiusOf(d) + 1 : pointRadius + 1,
+                symbol: symbol ?? undefined,
+                clip,
+                filter: d => d.isOutlier,
+                render: canvas ? canvasRender() : keyedRender(processedData, recordKey(key, 'dot')),
+                ...(showTooltips ? tooltipOptions(data, y, x, xLabel, 'x', 'fx') : {})
             })
-        ];
+        );
+    }
 
-        // Add mean lines if requested
-        if (showMean && statsData.length > 0) {
-            marks.push(
-                Plot.ruleY(statsData, {
-                    y: "mean",
-                    fx: "category",
-                    stroke: "#ff6b6b",
-                    strokeWidth: 2
-                })
-            );
+    if (outlierRecords.length > 0 && outlierLabel != null) {
+        marks.push(
+            Plot.text(processedData, {
+                x: d => d.jitteredX,
+                y: y,
+                fx: "originalCategory",
+                text: outlierLabel,
+                filter: d => d.isOutlier,
+                render: labelRender(processedData, radiusOf ?? (() => pointRadius), 'x', 4,
+                    keyedRender(processedData, recordKey(key, 'label'))),
+                fill: outlierColor,
+                textAnchor: "start",
+                clip
+            })
+        );
+    }
+
+    // Confidence intervals sit just beneath the mean and median lines
+    marks.push(
+        ...intervalMarks(statsData, {
+            horizontal: false,
+            clip,
+            showMeanCI,
+            showMedianCI,
+            ciStyle
+        })
+    );
+
+    // Add mean lines if requested
+    if (showMean && ruleData.length > 0) {
+        marks.push(
+            Plot.ruleY(ruleData, {
+                y: "mean",
+                render: keyedRender(ruleData, statKey('mean')),
+                fx: "category",
+                stroke: bySubgroup ? "colorGroup" : "#ff6b6b",
+                strokeWidth: 2,
+                clip
+            })
+        );
+    }
+
+    // Add median lines if requested
+    if (showMedian && ruleData.length > 0) {
+        marks.push(
+            Plot.ruleY(ruleData, {
+                y: "median",
+                render: keyedRender(ruleData, statKey('median')),
+                fx: "category",
+                stroke: bySubgroup ? "colorGroup" : "#4ecdc4",
+                strokeWidth: 2,
+                strokeDasharray: bySubgroup ? "4,3" : null,
+                clip
+            })
+        );
+    }
+
+    // Connect the per-category medians or means, e.g. across time buckets
+    if (trendLine != null) {
+        marks.push(...trendMarks(statsData, { horizontal: false, trendLine, trendColor }));
+    }
+
+    if (brackets.length > 0) {
+        marks.push(...bracketMarks(brackets, { horizontal: false }));
+    }
+
+    const plotConfig = {
+        document,
+        width,
+        height,
+        marginLeft,
+        marginRight,
+        marginTop,
+        marginBottom,
+        title: title ?? undefined,
+        color: colorScaleOptions({
+            color,
+            colorType,
+            colorScheme,
+            colorPalette,
+            colorLabel,
+            colorDomain,
+            showLegend
+        }),
+        // Radii are computed up front so the jitter layout can use them
+        r: radiusOf ? { type: 'identity' } : undefined,
+        symbol: symbol == null ? undefined : {
+            domain: symbolDomain ?? undefined,
+            label: symbolLabel ?? (typeof symbol === 'string' ? symbol : undefined),
+            legend: showLegend
+        },
+        // The size legend and the toolbar go in a figure around the chart
+        figure: (radiusOf && showLegend) || toolbar ? true : undefined,
+        y: {
+            label: yLabel,
+            grid: true,
+            nice: yDomain == null,
+            domain: yDomain ?? undefined
+        },
+        fx: {
+            label: xLabel,
+            domain: categories,
+            padding: facetPadding,
+            tickFormat: formatCategory ?? undefined
+        },
+        x: {
+            domain: [-1, 1],
+            axis: null
+        },
+        marks
+    };
+
+    const plot = Plot.plot(plotConfig);
+    if (canvas) lowerCanvasLayers(plot);
+    if (radiusOf && showLegend) {
+        appendLegend(plot, sizeLegend(radiusOf.scale, sizeLabel ?? (typeof size === 'string' ? size : null), document));
+    }
+    if (toolbar) attachToolbar(plot, toolbar === true ? {} : toolbar);
+    // Hand flagged records, plotted points and statistics back to the caller
+    plot.outliers = outlierRecords;
+    plot.points = processedData;
+    plot.stats = statsData;
+    plot.dropped = dropped;
+    plot.overflow = overflow;
+    plot.warnings = warnings;
+    plot.renderer = canvas ? 'canvas' : 'svg';
+    if (pairedDifferences) plot.pairedDifferences = pairedDifferences;
+    if (comparisons) plot.comparisons = comparisons;
+
+    // Click, shift-click and brush selection, matched to records by dot key
+    if (selectable || brush) {
+        const dotKey = recordKey(key, 'dot');
+        attachSelection(plot, {
+            records: new Map(processedData.map((d, i) => [dotKey(d, i), data[i]])),
+            valueOf: d => d[y],
+            categoryOf,
+            horizontal: false,
+            brush,
+            selection,
+            onSelect,
+            selectedColor,
+            unselectedOpacity
+        });
+    }
+    
+    return plot;
+}
+
+/**
+ * Stateful alphaswarm chart. Keeps its data and options, and re-renders in
+ * place on update. The jitter layout is cached, so changing options that do
+ * not affect it (opacity, overlays, colors...) leaves every point where it was.
+ * Each render fires a 'render' event on chart.events.
+ */
+export class AlphaswarmChart {
+    /**
+     * @param {Array} data - Array of data objects
+     * @param {Object} options - Chart options, plus orientation ('horizontal' or 'vertical'),
+     *     animate (boolean) and animationDuration (milliseconds)
+     */
+    constructor(data, options = {}) {
+        this.data = data;
+        this.options = { ...options };
+        this.element = null;
+        this.events = new EventTarget();
+        this._layoutCache = {};
+        this._selection = null;
+        this.render();
+    }
+
+    /**
+     * Render the chart, replacing the previous element in the page if it was attached
+     * @returns {Element} The chart element
+     */
+    render() {
+        const {
+            orientation = 'horizontal',
+            animate = false,
+            animationDuration = 750,
+            onSelect = null,
+            ...chartOptions
+        } = this.options;
+        // Keep the selection across re-renders
+        chartOptions.selection = this._selection ?? chartOptions.selection;
+        chartOptions.onSelect = records => {
+            this._selection = records;
+            if (onSelect) onSelect(records);
+        };
+        const element = orientation === 'vertical'
+            ? renderVerticalAlphaswarmChart(this.data, chartOptions, this._layoutCache)
+            : renderAlphaswarmChart(this.data, chartOptions, this._layoutCache);
+
+        const previous = this.element;
+        const attached = Boolean(previous && previous.parentNode);
+        if (attached) {
+            previous.replaceWith(element);
         }
+        this.element = element;
 
-        // Add median lines if requested
-        if (showMedian && statsData.length > 0) {
-            marks.push(
-                Plot.ruleY(statsData, {
-                    y: "median",
-                    fx: "category",
-                    stroke: "#4ecdc4",
-                    strokeWidth: 2
-                })
-            );
+        // Move points from where they were, matched by the key option
+        if (animate && attached) {
+            animateTransition(previous, element, { duration: animationDuration });
         }
+        this.events.dispatchEvent(new CustomEvent('render', { detail: { element } }));
+        return element;
+    }
 
-        const plotConfig = {
-            width,
-            height,
-            marginLeft,
-            marginRight,
-            marginTop,
-            marginBottom,
-            y: {
-                label: yLabel,
-                grid: true,
-                nice: true
-            },
-            fx: {
-                label: xLabel,
-                domain: categories,
-                padding: 0.1
-            },
-            x: {
-                domain: [-1, 1],
-                axis: null
-            },
-            marks
-        };
+    /**
+     * Switch between horizontal and vertical layouts. The value and category
+     * fields, axis labels and value domain move to the other axis.
+     * @param {string} orientation - 'horizontal' or 'vertical'
+     * @returns {AlphaswarmChart} This chart
+     */
+    setOrientation(orientation) {
+        const { orientation: current = 'horizontal', x, y, xLabel, yLabel, xDomain, yDomain } = this.options;
+        if (orientation === current) return this;
+        return this.update({
+            orientation,
+            x: y,
+            y: x,
+            xLabel: yLabel,
+            yLabel: xLabel,
+            xDomain: yDomain,
+            yDomain: xDomain
+        });
+    }
 
-        const plot = Plot.plot(plotConfig);
-        
-        return plot;
-        
-    } catch (error) {
-        console.error('❌ Error in createVerticalAlphaswarmChart:', error);
-        throw error;
+    /**
+     * Select points programmatically, for example from a linked table.
+     * Requires the selectable or brush option; onSelect is not called.
+     * @param {Array|Function|null} selection - Records, a predicate over records, or null to clear
+     * @returns {AlphaswarmChart} This chart
+     */
+    select(selection) {
+        this._selection = selection;
+        if (this.element && this.element.setSelection) {
+            this.element.setSelection(selection);
+        }
+        return this;
+    }
+
+    /**
+     * Currently selected records, in data order
+     * @returns {Array} Selected records
+     */
+    getSelection() {
+        return this.element && this.element.getSelection ? this.element.getSelection() : [];
+    }
+
+    /**
+     * Append the chart to a container
+     * @param {Element} container - Element to append the chart to
+     * @returns {AlphaswarmChart} This chart
+     */
+    mount(container) {
+        container.appendChild(this.element);
+        return this;
+    }
+
+    /**
+     * Merge new options into the current ones and re-render
+     * @param {Object} partialOptions - Options to change
+     * @returns {AlphaswarmChart} This chart
+     */
+    update(partialOptions = {}) {
+        const changed = Object.keys(partialOptions).some(key => !Object.is(this.options[key], partialOptions[key]));
+        if (!changed) return this;
+        this.options = { ...this.options, ...partialOptions };
+        this.render();
+        return this;
+    }
+
+    /**
+     * Replace the data and re-render. The jitter layout is always recomputed,
+     * even for the same array, in case it was changed in place.
+     * @param {Array} data - Array of data objects
+     * @returns {AlphaswarmChart} This chart
+     */
+    setData(data) {
+        this.data = data;
+        this._layoutCache = {};
+        this.render();
+        return this;
+    }
+
+    /**
+     * Remove the chart from the page and release its data
+     */
+    destroy() {
+        if (this.element) {
+            this.element.remove();
+        }
+        this.element = null;
+        this.data = null;
+        this._layoutCache = null;
+        this._selection = null;
     }
 }
 
 /**
- * Create interactive controls for alphaswarm charts
+ * Create interactive controls for alphaswarm charts.
+ * Controls can drive a chart directly: pass an AlphaswarmChart as chart, or a
+ * render callback and a target element. Every change updates the state,
+ * re-renders the chart and fires a 'change' event on the returned events target.
  * @param {Object} options - Control options
- * @returns {Object} Object containing control elements and state
+ * @param {AlphaswarmChart} options.chart - Chart to keep in sync
+ * @param {Function} options.render - Callback (state) => element, used when no chart is given
+ * @param {Element} options.target - Element whose content is replaced by the render callback
+ * @param {string[]} options.colorFields - Fields offered by the color control
+ * @returns {Object} Object containing control elements, state and events
  */
 export function createControls(options = {}) {
     const {
+        chart = null,
+        render = null,
+        target = null,
         showOpacityControl = true,
         showJitterControl = true,
         showStatControls = true,
-        initialOpacity = 0.6,
-        initialJitter = 0.5,
-        initialShowMean = true,
-        initialShowMedian = true
+        showRadiusControl = false,
+        showJitterMethodControl = false,
+        showOrientationControl = false,
+        showColorControl = false,
+        colorFields = [],
+        initialOpacity = chart?.options.opacity ?? 0.6,
+        initialJitter = chart?.options.jitter ?? 0.5,
+        initialShowMean = chart?.options.showMean ?? true,
+        initialShowMedian = chart?.options.showMedian ?? true,
+        initialPointRadius = chart?.options.pointRadius ?? 4,
+        initialJitterMethod = chart?.options.jitterMethod ?? 'random',
+        initialOrientation = chart?.options.orientation ?? 'horizontal',
+        initialColor = typeof chart?.options.color === 'string' ? chart.options.color : null
     } = options;
 
     const controls = {};
@@ -390,8 +2827,31 @@ export function createControls(options = {}) {
         opacity: initialOpacity,
         jitter: initialJitter,
         showMean: initialShowMean,
-        showMedian: initialShowMedian
+        showMedian: initialShowMedian,
+        pointRadius: initialPointRadius,
+        jitterMethod: initialJitterMethod,
+        orientation: initialOrientation,
+        color: initialColor
     };
+    const events = new EventTarget();
+
+    // Apply a state change to the connected chart and announce it
+    function change(name, value) {
+        state[name] = value;
+
+        if (chart) {
+            if (name === 'orientation') {
+                chart.setOrientation(value);
+            } else {
+                chart.update({ [name]: value });
+            }
+        } else if (render && target) {
+            target.innerHTML = '';
+            target.appendChild(render({ ...state }));
+        }
+
+        events.dispatchEvent(new CustomEvent('change', { detail: { name, value, state: { ...state } } }));
+    }
 
     if (showOpacityControl) {
         controls.opacity = document.createElement('div');
@@ -406,8 +2866,8 @@ export function createControls(options = {}) {
         const valueSpan = controls.opacity.querySelector('.opacity-value');
         
         slider.addEventListener('input', (e) => {
-            state.opacity = parseFloat(e.target.value);
-            valueSpan.textContent = state.opacity;
+            valueSpan.textContent = e.target.value;
+            change('opacity', parseFloat(e.target.value));
         });
     }
 
@@ -424,8 +2884,8 @@ export function createControls(options = {}) {
         const valueSpan = controls.jitter.querySelector('.jitter-value');
         
         slider.addEventListener('input', (e) => {
-            state.jitter = parseFloat(e.target.value);
-            valueSpan.textContent = state.jitter;
+            valueSpan.textContent = e.target.value;
+            change('jitter', parseFloat(e.target.value));
         });
     }
 
@@ -446,22 +2906,130 @@ export function createControls(options = {}) {
         const medianCheckbox = controls.stats.querySelector('.median-checkbox');
         
         meanCheckbox.addEventListener('change', (e) => {
-            state.showMean = e.target.checked;
+            change('showMean', e.target.checked);
         });
         
         medianCheckbox.addEventListener('change', (e) => {
-            state.showMedian = e.target.checked;
+            change('showMedian', e.target.checked);
+        });
+    }
+
+    if (showRadiusControl) {
+        controls.radius = document.createElement('div');
+        controls.radius.innerHTML = `
+            <label>
+                Point Radius: <span class="radius-value">${initialPointRadius}</span>
+                <input type="range" min="1" max="12" step="0.5" value="${initialPointRadius}" class="radius-slider">
+            </label>
+        `;
+
+        const slider = controls.radius.querySelector('.radius-slider');
+        const valueSpan = controls.radius.querySelector('.radius-value');
+
+        slider.addEventListener('input', (e) => {
+            valueSpan.textContent = e.target.value;
+            change('pointRadius', parseFloat(e.target.value));
+        });
+    }
+
+    if (showJitterMethodControl) {
+        controls.jitterMethod = document.createElement('div');
+        controls.jitterMethod.innerHTML = `
+            <label>
+                Jitter Method:
+                <select class="jitter-method-select">
+                    ${['random', 'uniform', 'beeswarm'].map(method => `
+                        <option value="${method}" ${method === initialJitterMethod ? 'selected' : ''}>${method}</option>
+                    `).join('')}
+                </select>
+            </label>
+        `;
+
+        controls.jitterMethod.querySelector('.jitter-method-select').addEventListener('change', (e) => {
+            change('jitterMethod', e.target.value);
+        });
+    }
+
+    if (showOrientationControl) {
+        controls.orientation = document.createElement('div');
+        controls.orientation.innerHTML = `
+            <label>
+                Orientation:
+                <select class="orientation-select">
+                    ${['horizontal', 'vertical'].map(orientation => `
+                        <option value="${orientation}" ${orientation === initialOrientation ? 'selected' : ''}>${orientation}</option>
+                    `).join('')}
+                </select>
+            </label>
+        `;
+
+        controls.orientation.querySelector('.orientation-select').addEventListener('change', (e) => {
+            change('orientation', e.target.value);
+        });
+    }
+
+    if (showColorControl) {
+        controls.color = document.createElement('div');
+        controls.color.innerHTML = `
+            <label>
+                Color By:
+                <select class="color-select">
+                    <option value="">None</option>
+                </select>
+            </label>
+        `;
+
+        // Field names come from the caller, so they are set as text rather than markup
+        const select = controls.color.querySelector('.color-select');
+        colorFields.forEach(field => {
+            const option = document.createElement('option');
+            option.value = field;
+            option.textContent = field;
+            option.selected = field === initialColor;
+            select.appendChild(option);
+        });
+
+        select.addEventListener('change', (e) => {
+            change('color', e.target.value || null);
         });
     }
 
-    return { controls, state };
+    return { controls, state, events };
 }
 
 // Export default object with all functions
 export default {
     createAlphaswarmChart,
     createVerticalAlphaswarmChart,
+    AlphaswarmChart,
     calculateStats,
+    quantile,
+    tukeyWhiskers,
+    detectOutliers,
+    meanConfidenceInterval,
+    bootstrapConfidenceInterval,
+    kernelBandwidth,
+    kernelDensity,
+    welchTTest,
+    mannWhitneyU,
+    permutationTest,
+    adjustPValues,
+    compareGroups,
     generateJitter,
-    createControls
+    createControls,
+    linkCharts,
+    renderSvg,
+    renderPng,
+    serializeChart,
+    rasterizeSvg,
+    exportSvg,
+    exportPng,
+    exportData,
+    downloadChart,
+    attachToolbar,
+    loadData,
+    coerceRows,
+    inferSchema,
+    validateData,
+    AlphaswarmDataError
 };
@@ -0,0 +1,220 @@
+/**
+ * Alphaswarm Charts - Export
+ *
+ * Saves a rendered chart as a standalone SVG, a PNG, or the data behind it:
+ * the plotted points with their jitter offsets and the per-category
+ * statistics. Everything can be called directly or from a small toolbar
+ * shown on the chart.
+ */
+
+import * as d3 from 'd3';
+import { serializeChart, rasterizeSvg } from './static.js';
+
+// Computed styles copied onto each element, so the SVG looks the same outside the page
+const INHERITED_STYLES = [
+    'color', 'fill', 'fill-opacity', 'stroke', 'stroke-opacity', 'stroke-width', 'stroke-dasharray',
+    'font-family', 'font-size', 'font-weight', 'font-style'
+];
+
+export const EXPORT_FORMATS = ['svg', 'png', 'csv', 'json'];
+
+const MIME_TYPES = {
+    svg: 'image/svg+xml',
+    png: 'image/png',
+    csv: 'text/csv',
+    json: 'application/json'
+};
+
+/**
+ * Copy the computed styles of a chart onto a clone of it. Only values that
+ * differ from the parent's are written, since the rest are inherited. The
+ * root only keeps its color, which currentColor fills and strokes resolve to;
+ * its other styles come from Plot's own attributes.
+ * @param {Element} source - Chart element attached to a page
+ * @param {Element} target - Deep clone of source
+ */
+function inlineStyles(source, target) {
+    const view = source.ownerDocument.defaultView;
+    if (!view?.getComputedStyle || !source.isConnected) return;
+    const walk = (from, to, parentStyle) => {
+        const style = view.getComputedStyle(from);
+        (parentStyle ? INHERITED_STYLES : ['color']).forEach(property => {
+            const value = style.getPropertyValue(property);
+            if (value && value !== parentStyle?.getPropertyValue(property)) {
+                to.style.setProperty(property, value);
+            }
+        });
+        const opacity = style.getPropertyValue('opacity');
+        if (opacity && opacity !== '1') to.style.setProperty('opacity', opacity);
+        [...from.children].forEach((child, i) => walk(child, to.children[i], style));
+    };
+    walk(source, target, null);
+}
+
+/**
+ * Export a chart as a standalone SVG document
+ * @param {Element} chart - Element returned by createAlphaswarmChart or createVerticalAlphaswarmChart
+ * @param {Object} options - Export options
+ * @param {string} options.background - Background color; transparent when null
+ * @param {boolean} options.inlineStyles - Copy page styles onto the elements (default true)
+ * @returns {string} SVG markup
+ */
+export function exportSvg(chart, options = {}) {
+    const { background = null, inlineStyles: inline = true } = options;
+    const copy = chart.cloneNode(true);
+    if (inline) inlineStyles(chart, copy);
+    return serializeChart(copy, { background });
+}
+
+/**
+ * Export a chart as a PNG image
+ * @param {Element} chart - Element returned by createAlphaswarmChart or createVerticalAlphaswarmChart
+ * @param {Object} options - Options of exportSvg and rasterizeSvg; background defaults to white
+ * @returns {Promise} PNG as a Blob in the browser, or whatever rasterize returns
+ */
+export async function exportPng(chart, options = {}) {
+    const { pixelRatio = 2, rasterize = null, background = 'white', ...svgOptions } = options;
+    return rasterizeSvg(exportSvg(chart, { ...svgOptions, background }), { pixelRatio, rasterize });
+}
+
+/**
+ * Flatten nested objects into dotted column names, for CSV output
+ * @param {Object} row - Data row
+ * @returns {Object} Row without nested objects
+ */
+function flattenRow(row) {
+    const flat = {};
+    Object.entries(row).forEach(([name, value]) => {
+        if (value != null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value)) {
+            Object.entries(flattenRow(value)).forEach(([inner, innerValue]) => {
+                flat[`${name}.${inner}`] = innerValue;
+            });
+        } else {
+            flat[name] = value;
+        }
+    });
+    return flat;
+}
+
+/**
+ * Export the data behind a chart. Points are the plotted records with their
+ * jitter offset (jitteredY or jitteredX, from -1 to 1 across the band), their
+ * displayed category (originalCategory) and isOutlier. Stats are the
+ * per-category statistics. Faceted charts add a facet column to both.
+ * @param {Element} chart - Element returned by createAlphaswarmChart or createVerticalAlphaswarmChart
+ * @param {Object} options - Export options
+ * @param {string} options.format - 'csv' (default) or 'json'
+ * @param {string} options.table - 'points', 'stats', or 'all' for both (JSON only);
+ *     defaults to 'points' for CSV and 'all' for JSON
+ * @returns {string} CSV or JSON text
+ */
+export function exportData(chart, options = {}) {
+    const { format = 'csv' } = options;
+    const { table = format === 'json' ? 'all' : 'points' } = options;
+    if (!chart.points || !chart.stats) {
+        throw new Error('The element is not an alphaswarm chart');
+    }
+    if (!['points', 'stats', 'all'].includes(table)) {
+        throw new Error(`Unknown table "${table}"; use "points", "stats" or "all"`);
+    }
+
+    if (format === 'json') {
+        const tables = { points: chart.points, stats: chart.stats };
+        return JSON.stringify(table === 'all' ? tables : tables[table], null, 2);
+    }
+    if (format === 'csv') {
+        if (table === 'all') throw new Error('CSV holds one table; export "points" and "stats" separately');
+        return d3.csvFormat(chart[table].map(flattenRow));
+    }
+    throw new Error(`Unknown format "${format}"; use "csv" or "json"`);
+}
+
+/**
+ * Export a chart and save it through the browser's download prompt
+ * @param {Element} chart - Element returned by createAlphaswarmChart or createVerticalAlphaswarmChart
+ * @param {string} format - 'svg', 'png', 'csv' or 'json'
+ * @param {Object} options - Options of the matching export function, plus filename
+ *     (without extension, default 'alphaswarm')
+ * @returns {Promise} Resolves once the download has started
+ */
+export async function downloadChart(chart, format, options = {}) {
+    const { filename = 'alphaswarm', ...exportOptions } = options;
+    let content;
+    if (format === 'svg') content = exportSvg(chart, exportOptions);
+    else if (format === 'png') content = await exportPng(chart, exportOptions);
+    else if (format === 'csv' || format === 'json') content = exportData(chart, { ...exportOptions, format });
+    else throw new Error(`Unknown format "${format}"; use ${EXPORT_FORMATS.join(', ')}`);
+
+    const document = chart.ownerDocument;
+    const blob = content instanceof Blob ? content : new Blob([content], { type: MIME_TYPES[format] });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${filename}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Add a row of download buttons to a chart. Charts rendered with the toolbar
+ * option get one automatically; the toolbar is left out of exported images.
+ * @param {Element} chart - Element returned by createAlphaswarmChart or createVerticalAlphaswarmChart
+ * @param {Object} options - Toolbar options
+ * @param {string[]} options.formats - Formats to offer (default all of EXPORT_FORMATS)
+ * @param {string} options.filename - File name without extension (default 'alphaswarm')
+ * @param {number} options.pixelRatio - PNG pixel ratio (default 2)
+ * @returns {Element} Toolbar element
+ */
+export function attachToolbar(chart, options = {}) {
+    const { formats = EXPORT_FORMATS, filename = 'alphaswarm', pixelRatio = 2 } = options;
+    const unknown = formats.filter(format => !EXPORT_FORMATS.includes(format));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown export format "${unknown[0]}"; use ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const document = chart.ownerDocument;
+    const toolbar = document.createElement('div');
+    toolbar.className = 'alphaswarm-toolbar';
+    Object.assign(toolbar.style, {
+        display: 'flex',
+        justifyContent: 'flex-end',
+        gap: '4px',
+        marginBottom: '4px',
+        fontFamily: 'system-ui, sans-serif'
+    });
+    formats.forEach(format => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = format.toUpperCase();
+        button.title = `Download as ${format.toUpperCase()}`;
+        Object.assign(button.style, { fontSize: '11px', padding: '2px 8px', cursor: 'pointer' });
+        button.addEventListener('click', () => {
+            downloadChart(chart, format, { filename, pixelRatio })
+                .catch(error => console.error('❌ Error exporting chart:', error));
+        });
+        toolbar.appendChild(button);
+    });
+
+    // SVG charts have no room for HTML, so the toolbar goes just above them
+    if (chart.tagName.toLowerCase() === 'svg') {
+        if (!chart.parentNode) {
+            throw new Error('Mount the chart before adding a toolbar, or render it with the toolbar option');
+        }
+        chart.parentNode.insertBefore(toolbar, chart);
+    } else {
+        chart.insertBefore(toolbar, chart.firstChild);
+    }
+    return toolbar;
+}
+
+export default {
+    exportSvg,
+    exportPng,
+    exportData,
+    downloadChart,
+    attachToolbar,
+    EXPORT_FORMATS
+};
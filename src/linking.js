@@ -0,0 +1,184 @@
+/**
+ * Alphaswarm Charts - Linked Views
+ *
+ * Coordinates several charts drawn over the same entities, typically one per
+ * metric. Linked charts can share a value domain, and hovering or selecting a
+ * point highlights the points with the same key in every other chart.
+ */
+
+import * as d3 from 'd3';
+import { KEY_ATTRIBUTE } from './transitions.js';
+import { setDotOutline } from './selection.js';
+
+// Point marks are keyed with this prefix (see recordKey)
+const DOT_PREFIX = 'dot:';
+
+/**
+ * Whether a linked item is a stateful chart rather than a rendered element
+ * @param {Object} chart - AlphaswarmChart or chart element
+ * @returns {boolean} True for AlphaswarmChart-like objects
+ */
+function isStateful(chart) {
+    return chart != null && typeof chart.update === 'function' && chart.events != null;
+}
+
+/**
+ * Value axis field and domain option of a stateful chart
+ * @param {Object} options - AlphaswarmChart options
+ * @returns {Object} Object with field and domainOption
+ */
+function valueAxis(options) {
+    return options.orientation === 'vertical'
+        ? { field: options.y ?? 'value', domainOption: 'yDomain' }
+        : { field: options.x ?? 'value', domainOption: 'xDomain' };
+}
+
+/**
+ * Compute a domain covering the values of every stateful chart
+ * @param {Array} charts - AlphaswarmChart instances
+ * @returns {number[]|null} Nice [min, max], or null when there are no finite values
+ */
+function sharedExtent(charts) {
+    const values = charts.flatMap(chart => {
+        const { field } = valueAxis(chart.options);
+        return chart.data.map(d => d[field]);
+    }).filter(Number.isFinite);
+    if (values.length === 0) return null;
+    const [min, max] = d3.extent(values);
+    return d3.nice(min, max, 10);
+}
+
+/**
+ * Link charts so that they share a value domain and highlight the same records
+ * @param {Array} charts - AlphaswarmChart instances, or elements returned by
+ *     createAlphaswarmChart / createVerticalAlphaswarmChart rendered with the key option
+ * @param {Object} options - Linking options
+ * @param {string|Function} options.key - Field or accessor matching records across charts
+ * @param {boolean} options.sharedDomain - Give every chart a common value domain; by default
+ *     true when every chart is stateful. Rendered elements can't be re-rendered
+ *     with the domain, so asking for one with them throws.
+ * @param {number[]} options.domain - Explicit shared domain, instead of the computed one
+ * @param {boolean} options.hover - Highlight hovered records in every chart
+ * @param {boolean} options.linkSelection - Mirror user selections into every chart
+ * @param {string} options.highlightColor - Outline color of highlighted points
+ * @returns {Object} Object with domain, highlight, select and unlink
+ */
+export function linkCharts(charts, options = {}) {
+    const {
+        key = 'id',
+        sharedDomain = null,
+        domain = null,
+        hover = true,
+        linkSelection = true,
+        highlightColor = '#222222'
+    } = options;
+    const keyOf = typeof key === 'function' ? key : d => d[key];
+    const stateful = charts.filter(isStateful);
+    const elements = charts.length - stateful.length;
+    const sharing = sharedDomain ?? (domain != null || elements === 0);
+    if (sharing && elements > 0) {
+        throw new Error(`Can't share a domain with ${elements} chart element${elements === 1 ? '' : 's'}, ` +
+            'which are not re-rendered; link AlphaswarmChart instances, or create the elements with the ' +
+            'same xDomain or yDomain and pass sharedDomain: false');
+    }
+
+    // Stateful charts are re-rendered with the shared key and domain, and with
+    // SVG dots, since canvas dots have no elements to highlight
+    const linkedDomain = sharing ? (domain ?? sharedExtent(stateful)) : null;
+    stateful.forEach(chart => {
+        const changes = { key, renderer: 'svg' };
+        if (linkedDomain) changes[valueAxis(chart.options).domainOption] = linkedDomain;
+        chart.update(changes);
+    });
+
+    const elementOf = chart => (isStateful(chart) ? chart.element : chart);
+
+    const canvasCharts = charts.filter(chart => !isStateful(chart) && chart?.renderer === 'canvas').length;
+    if (canvasCharts > 0) {
+        console.warn(`⚠️ ${canvasCharts} linked chart${canvasCharts === 1 ? ' draws its' : 's draw their'} dots on a canvas ` +
+            'and will not show highlights; render them with renderer: "svg"');
+    }
+
+    // Outline the points whose key is in the set; clearing a highlight shows
+    // the point's selection outline again, if it has one
+    const highlighted = new Set();
+    const highlight = keys => {
+        highlighted.forEach(element => setDotOutline(element, 'highlight', null));
+        highlighted.clear();
+        if (keys == null) return;
+        const wanted = new Set([].concat(keys).map(k => `${DOT_PREFIX}${k}`));
+        charts.forEach(chart => {
+            const root = elementOf(chart);
+            if (!root) return;
+            root.querySelectorAll(`[${KEY_ATTRIBUTE}^="${DOT_PREFIX}"]`).forEach(element => {
+                if (!wanted.has(element.getAttribute(KEY_ATTRIBUTE))) return;
+                highlighted.add(element);
+                setDotOutline(element, 'highlight', { color: highlightColor, width: 3 });
+            });
+        });
+    };
+
+    // Select the records with the given keys in every chart but the source
+    const select = (keys, source = null) => {
+        const wanted = keys == null ? null : new Set([].concat(keys));
+        const selection = wanted == null ? null : d => wanted.has(keyOf(d));
+        charts.forEach(chart => {
+            if (chart === source) return;
+            if (isStateful(chart)) chart.select(selection);
+            else if (chart.setSelection) chart.setSelection(selection);
+        });
+    };
+
+    const onOver = event => {
+        const element = event.target.closest?.(`[${KEY_ATTRIBUTE}^="${DOT_PREFIX}"]`);
+        if (element) highlight(element.getAttribute(KEY_ATTRIBUTE).slice(DOT_PREFIX.length));
+    };
+    const onOut = event => {
+        if (event.target.closest?.(`[${KEY_ATTRIBUTE}^="${DOT_PREFIX}"]`)) highlight(null);
+    };
+
+    // Listeners live on the chart element, so stateful charts are re-bound after each render
+    const bindings = charts.map(chart => {
+        const onSelection = event => select(event.detail.records.map(keyOf), chart);
+        const bind = element => {
+            if (!element) return;
+            if (hover) {
+                element.addEventListener('mouseover', onOver);
+                element.addEventListener('mouseout', onOut);
+            }
+            if (linkSelection) element.addEventListener('selection', onSelection);
+        };
+        const unbind = element => {
+            if (!element) return;
+            element.removeEventListener('mouseover', onOver);
+            element.removeEventListener('mouseout', onOut);
+            element.removeEventListener('selection', onSelection);
+        };
+        let current = elementOf(chart);
+        bind(current);
+        const onRender = event => {
+            unbind(current);
+            current = event.detail.element;
+            bind(current);
+        };
+        if (isStateful(chart)) chart.events.addEventListener('render', onRender);
+        return () => {
+            unbind(current);
+            if (isStateful(chart)) chart.events.removeEventListener('render', onRender);
+        };
+    });
+
+    return {
+        domain: linkedDomain,
+        highlight,
+        select: keys => select(keys),
+        unlink: () => {
+            highlight(null);
+            bindings.forEach(release => release());
+        }
+    };
+}
+
+export default {
+    linkCharts
+};
@@ -0,0 +1,399 @@
+/**
+ * Alphaswarm Charts - Data Loaders
+ *
+ * Turns CSV, TSV, JSON, NDJSON and Apache Arrow inputs into the arrays of
+ * records the chart functions take. Fields are coerced to numbers, dates,
+ * booleans or strings from a schema, which is inferred for any field it does
+ * not list. Values that cannot be coerced are reported rather than thrown.
+ */
+
+import * as d3 from 'd3';
+
+export const FORMATS = ['csv', 'tsv', 'json', 'ndjson', 'arrow'];
+export const FIELD_TYPES = ['number', 'date', 'boolean', 'string'];
+
+// Values treated as missing, before any coercion
+const MISSING_VALUES = ['', 'NA', 'N/A', 'NaN', 'null', 'NULL'];
+
+// Number of present values per field that type inference looks at
+const INFERENCE_SAMPLE = 1000;
+
+// Share of sampled values that must parse for a type to be inferred; the
+// rest are reported as failed coercions rather than turning the field into text
+const INFERENCE_THRESHOLD = 0.9;
+
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+// Only ISO-like dates are inferred; other formats need an explicit schema
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const BOOLEAN = /^(true|false)$/i;
+
+// Arrow files start with ARROW1; streams start with a continuation marker
+const ARROW_MAGIC = [0x41, 0x52, 0x52, 0x4f, 0x57, 0x31];
+const ARROW_CONTINUATION = [0xff, 0xff, 0xff, 0xff];
+
+const MIME_FORMATS = {
+    'text/csv': 'csv',
+    'text/tab-separated-values': 'tsv',
+    'application/json': 'json',
+    'application/x-ndjson': 'ndjson',
+    'application/jsonl': 'ndjson',
+    'application/vnd.apache.arrow.file': 'arrow',
+    'application/vnd.apache.arrow.stream': 'arrow'
+};
+
+const EXTENSION_FORMATS = {
+    csv: 'csv',
+    tsv: 'tsv',
+    tab: 'tsv',
+    json: 'json',
+    ndjson: 'ndjson',
+    jsonl: 'ndjson',
+    arrow: 'arrow',
+    feather: 'arrow'
+};
+
+/**
+ * Whether a byte array starts with the given bytes
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {number[]} prefix - Expected leading bytes
+ * @returns {boolean} True when bytes start with prefix
+ */
+function startsWith(bytes, prefix) {
+    return prefix.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Whether an input is an Apache Arrow table, without depending on apache-arrow
+ * @param {*} input - Loader input
+ * @returns {boolean} True for Arrow Table objects
+ */
+function isArrowTable(input) {
+    return input != null && typeof input.toArray === 'function' && input.schema?.fields != null;
+}
+
+/**
+ * Guess the format of a text input from its first line
+ * @param {string} text - Input text
+ * @returns {string} 'json', 'ndjson', 'tsv' or 'csv'
+ */
+function sniffText(text) {
+    const trimmed = text.trimStart();
+    if (trimmed.startsWith('[')) return 'json';
+    if (trimmed.startsWith('{')) return 'ndjson';
+    const [firstLine] = trimmed.split('\n', 1);
+    return firstLine.includes('\t') && !firstLine.includes(',') ? 'tsv' : 'csv';
+}
+
+/**
+ * Read a loader input into text or bytes, and settle its format
+ * @param {string|Blob|ArrayBuffer|ArrayBufferView|Object} input - Loader input
+ * @param {string|null} format - Explicit format, or null to detect it
+ * @returns {Promise<Object>} Object with format and text, bytes or table
+ */
+async function readInput(input, format) {
+    if (isArrowTable(input)) return { format: 'arrow', table: input };
+
+    if (typeof input === 'string') {
+        return { format: format ?? sniffText(input), text: input };
+    }
+
+    if (typeof Blob !== 'undefined' && input instanceof Blob) {
+        const extension = /\.([a-z]+)$/i.exec(input.name ?? '')?.[1]?.toLowerCase();
+        const declared = format ?? MIME_FORMATS[input.type.split(';')[0]] ?? EXTENSION_FORMATS[extension] ?? null;
+        if (declared === 'arrow') return { format: 'arrow', bytes: new Uint8Array(await input.arrayBuffer()) };
+        if (declared == null) return readInput(new Uint8Array(await input.arrayBuffer()), null);
+        return { format: declared, text: await input.text() };
+    }
+
+    if (input instanceof ArrayBuffer || ArrayBuffer.isView(input)) {
+        const bytes = input instanceof ArrayBuffer
+            ? new Uint8Array(input)
+            : new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+        const arrow = startsWith(bytes, ARROW_MAGIC) || startsWith(bytes, ARROW_CONTINUATION);
+        if (format === 'arrow' || (format == null && arrow)) return { format: 'arrow', bytes };
+        const text = new TextDecoder().decode(bytes);
+        return { format: format ?? sniffText(text), text };
+    }
+
+    throw new Error('Unsupported input; pass a string, Blob, ArrayBuffer, typed array or Arrow table');
+}
+
+/**
+ * Parse Arrow IPC bytes with the optional apache-arrow package
+ * @param {Uint8Array} bytes - Arrow file or stream
+ * @returns {Promise<Object>} Arrow table
+ */
+async function parseArrow(bytes) {
+    let arrow;
+    try {
+        arrow = await import('apache-arrow');
+    } catch (error) {
+        throw new Error('Reading Arrow files needs the apache-arrow package; install it, or pass an Arrow Table');
+    }
+    return arrow.tableFromIPC(bytes);
+}
+
+/**
+ * Field types declared by an Arrow schema, so Arrow inputs need no inference
+ * @param {Object} table - Arrow table
+ * @returns {Object} Map of field name to field type
+ */
+function arrowSchema(table) {
+    return Object.fromEntries(table.schema.fields.map(field => {
+        const type = String(field.type);
+        if (/^(u?int|float|decimal)/i.test(type)) return [field.name, 'number'];
+        if (/^(date|timestamp)/i.test(type)) return [field.name, 'date'];
+        if (/^bool/i.test(type)) return [field.name, 'boolean'];
+        return [field.name, 'string'];
+    }));
+}
+
+/**
+ * Convert an Arrow decimal to a number. Decimal cells hold the unscaled
+ * integer, whose string form is placed around the decimal point here so that
+ * the result is the nearest double to the exact value.
+ * @param {Object} value - Decimal cell, whose string form is the unscaled integer
+ * @param {number} scale - Digits after the decimal point
+ * @returns {number} The decimal's value
+ */
+function decimalNumber(value, scale) {
+    const digits = String(value);
+    if (scale <= 0) return Number(digits) * 10 ** -scale;
+    const sign = digits.startsWith('-') ? '-' : '';
+    const magnitude = digits.slice(sign.length).padStart(scale + 1, '0');
+    const point = magnitude.length - scale;
+    return Number(`${sign}${magnitude.slice(0, point)}.${magnitude.slice(point)}`);
+}
+
+/**
+ * Read the rows of an Arrow table as plain records
+ * @param {Object} table - Arrow table
+ * @returns {Array} Records with raw values; decimals are already numbers
+ */
+function arrowRows(table) {
+    const decimals = table.schema.fields.filter(field => /^decimal/i.test(String(field.type)));
+    return table.toArray().map(row => {
+        const record = row.toJSON();
+        decimals.forEach(({ name, type }) => {
+            if (record[name] != null) record[name] = decimalNumber(record[name], type.scale);
+        });
+        return record;
+    });
+}
+
+/**
+ * Parse text into raw records
+ * @param {string} text - Input text
+ * @param {string} format - 'csv', 'tsv', 'json' or 'ndjson'
+ * @param {Array} errors - Parse errors are appended here
+ * @returns {Object} Object with rows and columns
+ */
+function parseText(text, format, errors) {
+    // Spreadsheet exports often start with a byte order mark
+    const source = text.replace(/^\uFEFF/, '');
+    if (format === 'csv' || format === 'tsv') {
+        const rows = (format === 'csv' ? d3.csvParse : d3.tsvParse)(source);
+        return { rows: [...rows], columns: rows.columns };
+    }
+    if (format === 'json') {
+        const parsed = JSON.parse(source);
+        if (!Array.isArray(parsed)) throw new Error('JSON input must be an array of records');
+        return { rows: parsed, columns: null };
+    }
+    if (format === 'ndjson') {
+        const rows = [];
+        source.split(/\r?\n/).forEach((line, i) => {
+            if (line.trim() === '') return;
+            try {
+                rows.push(JSON.parse(line));
+            } catch (error) {
+                errors.push({ row: null, line: i + 1, field: null, value: line, message: `Invalid JSON: ${error.message}` });
+            }
+        });
+        return { rows, columns: null };
+    }
+    throw new Error(`Unknown format "${format}"; use ${FORMATS.join(', ')}`);
+}
+
+/**
+ * Normalize a schema entry into a type and, for dates with a format, a parser
+ * @param {string|Object} spec - Type name, or { type, format }
+ * @param {string} field - Field name, for error messages
+ * @returns {Object} Object with type and parseDate
+ */
+function fieldSpec(spec, field) {
+    const { type, format = null } = typeof spec === 'string' ? { type: spec } : spec;
+    if (!FIELD_TYPES.includes(type)) {
+        throw new Error(`Unknown type "${type}" for field "${field}"; use ${FIELD_TYPES.join(', ')}`);
+    }
+    return { type, parseDate: type === 'date' && format ? d3.utcParse(format) : null };
+}
+
+/**
+ * Infer a field type from sample values
+ * @param {Array} values - Values of one field, missing values removed
+ * @returns {string} 'number', 'date', 'boolean' or 'string'
+ */
+function inferType(values) {
+    const sample = values.slice(0, INFERENCE_SAMPLE);
+    if (sample.length === 0) return 'string';
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+    const mostly = test => sample.filter(test).length >= INFERENCE_THRESHOLD * sample.length;
+    if (mostly(v => typeof v === 'number' || typeof v === 'bigint' || NUMBER.test(text(v)))) return 'number';
+    if (mostly(v => v instanceof Date || ISO_DATE.test(text(v)))) return 'date';
+    if (mostly(v => typeof v === 'boolean' || BOOLEAN.test(text(v)))) return 'boolean';
+    return 'string';
+}
+
+/**
+ * Infer a schema from records
+ * @param {Array} rows - Records with raw values
+ * @param {Object} options - Inference options
+ * @param {Array} options.columns - Field names; defaults to every key of every record
+ * @param {string[]} options.missingValues - Strings treated as missing
+ * @returns {Object} Map of field name to type
+ */
+export function inferSchema(rows, options = {}) {
+    const { missingValues = MISSING_VALUES } = options;
+    const columns = options.columns ?? [...new Set(rows.flatMap(Object.keys))];
+    const missing = new Set(missingValues);
+    return Object.fromEntries(columns.map(field => {
+        const values = rows.map(row => row[field])
+            .filter(value => value != null && !(typeof value === 'string' && missing.has(value.trim())));
+        return [field, inferType(values)];
+    }));
+}
+
+/**
+ * Coerce one value to a field type
+ * @param {*} value - Raw value, not missing
+ * @param {Object} spec - Object with type and parseDate (see fieldSpec)
+ * @returns {*} Coerced value, or undefined when it cannot be coerced
+ */
+function coerceValue(value, spec) {
+    const { type, parseDate } = spec;
+    const text = typeof value === 'string' ? value.trim() : null;
+    if (type === 'number') {
+        if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+        if (typeof value === 'bigint') return Number(value);
+        return text != null && NUMBER.test(text) ? +text : undefined;
+    }
+    if (type === 'date') {
+        let date;
+        if (value instanceof Date) date = value;
+        else if (typeof value === 'number' || typeof value === 'bigint') date = new Date(Number(value));
+        else if (text != null) date = parseDate ? parseDate(text) : (d3.isoParse(text) ?? new Date(text));
+        return date && !Number.isNaN(date.getTime()) ? date : undefined;
+    }
+    if (type === 'boolean') {
+        if (typeof value === 'boolean') return value;
+        if (value === 1 || value === 0) return value === 1;
+        if (text != null && /^(true|1)$/i.test(text)) return true;
+        if (text != null && /^(false|0)$/i.test(text)) return false;
+        return undefined;
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Coerce the fields of already parsed records, reporting values that fail.
+ * Missing values become null.
+ * @param {Array} rows - Records with raw values
+ * @param {Object} options - Coercion options
+ * @param {Object} options.schema - Map of field name to type ('number', 'date',
+ *     'boolean' or 'string') or { type: 'date', format } with a d3 UTC time format;
+ *     unlisted fields are inferred
+ * @param {boolean} options.inferTypes - Infer unlisted fields; otherwise they pass through (default true)
+ * @param {string[]} options.missingValues - Strings treated as missing
+ * @param {boolean} options.dropInvalid - Drop rows with a failed value instead of setting it to null
+ * @param {Array} options.columns - Field names, when known from a header
+ * @returns {Array} Records, with columns, schema and errors properties
+ */
+export function coerceRows(rows, options = {}) {
+    const {
+        schema = {},
+        inferTypes = true,
+        missingValues = MISSING_VALUES,
+        dropInvalid = false
+    } = options;
+    const columns = options.columns ?? [...new Set(rows.flatMap(Object.keys))];
+    const missing = new Set(missingValues);
+
+    const unlisted = columns.filter(field => !(field in schema));
+    const resolved = {
+        ...(inferTypes ? inferSchema(rows, { columns: unlisted, missingValues }) : {}),
+        ...schema
+    };
+    const specs = Object.entries(resolved).map(([field, spec]) => [field, fieldSpec(spec, field)]);
+
+    const errors = [];
+    const data = [];
+    rows.forEach((row, index) => {
+        const record = { ...row };
+        let valid = true;
+        specs.forEach(([field, spec]) => {
+            const value = row[field];
+            if (value == null || (typeof value === 'string' && missing.has(value.trim()))) {
+                record[field] = null;
+                return;
+            }
+            const coerced = coerceValue(value, spec);
+            if (coerced === undefined) {
+                valid = false;
+                record[field] = null;
+                errors.push({ row: index, field, value, message: `Expected ${spec.type}, got ${JSON.stringify(value)}` });
+            } else {
+                record[field] = coerced;
+            }
+        });
+        if (valid || !dropInvalid) data.push(record);
+    });
+
+    data.columns = columns;
+    data.schema = resolved;
+    data.errors = errors;
+    return data;
+}
+
+/**
+ * Load records from CSV, TSV, JSON, NDJSON or Apache Arrow input, ready for
+ * the chart functions
+ * @param {string|Blob|ArrayBuffer|ArrayBufferView|Object} input - Text, a Blob or File,
+ *     bytes, or an Arrow Table
+ * @param {Object} options - Options of coerceRows, plus format
+ * @param {string} options.format - 'csv', 'tsv', 'json', 'ndjson' or 'arrow';
+ *     detected from the Blob type or name, the Arrow magic bytes or the text itself when omitted
+ * @returns {Promise<Array>} Records, with columns, schema and errors properties.
+ *     Each error has the row index, field, value and a message
+ */
+export async function loadData(input, options = {}) {
+    const { format = null, ...coerceOptions } = options;
+    if (format != null && !FORMATS.includes(format)) {
+        throw new Error(`Unknown format "${format}"; use ${FORMATS.join(', ')}`);
+    }
+    const source = await readInput(input, format);
+
+    if (source.format === 'arrow') {
+        const table = source.table ?? await parseArrow(source.bytes);
+        const rows = arrowRows(table);
+        return coerceRows(rows, {
+            ...coerceOptions,
+            columns: table.schema.fields.map(field => field.name),
+            schema: { ...arrowSchema(table), ...coerceOptions.schema }
+        });
+    }
+
+    const parseErrors = [];
+    const { rows, columns } = parseText(source.text, source.format, parseErrors);
+    const data = coerceRows(rows, { ...coerceOptions, columns: columns ?? undefined });
+    data.errors.unshift(...parseErrors);
+    return data;
+}
+
+export default {
+    loadData,
+    coerceRows,
+    inferSchema,
+    FORMATS,
+    FIELD_TYPES
+};
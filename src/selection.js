@@ -0,0 +1,233 @@
+/**
+ * Alphaswarm Charts - Selection
+ *
+ * Adds point selection to a rendered chart. Clicking a dot selects it,
+ * shift-clicking adds or removes it, and brushing along the value axis of a
+ * category selects every point in the brushed range. Dots are matched to the
+ * records behind them through their data-key attribute. A brush can start on
+ * a dot as well as between dots.
+ */
+
+import * as d3 from 'd3';
+import { chartSvg, KEY_ATTRIBUTE } from './transitions.js';
+
+// Point marks are keyed with this prefix (see recordKey)
+const DOT_SELECTOR = `[${KEY_ATTRIBUTE}^="dot:"]`;
+
+// Outline of each dot per source ('selection' or 'highlight')
+const outlines = new WeakMap();
+
+/**
+ * Set or clear one source's outline on a dot. Selections and linked-view
+ * highlights (see linkCharts) both outline dots; a highlight shows over the
+ * selection outline, and clearing it shows the selection outline again.
+ * @param {Element} element - Dot element
+ * @param {string} source - 'selection' or 'highlight'
+ * @param {Object|null} outline - Object with color and width, or null to clear
+ */
+export function setDotOutline(element, source, outline) {
+    const entry = { ...outlines.get(element), [source]: outline };
+    outlines.set(element, entry);
+    // Inline styles win over the presentation attributes Plot and the transitions set
+    const shown = entry.highlight ?? entry.selection;
+    if (shown) {
+        element.style.stroke = shown.color;
+        element.style.strokeWidth = String(shown.width);
+    } else {
+        element.style.removeProperty('stroke');
+        element.style.removeProperty('stroke-width');
+    }
+}
+
+/**
+ * Resolve a selection given as records or a predicate into a set of records
+ * @param {Array|Function|null} selection - Records, a predicate over records, or null
+ * @param {Map} records - Map of dot key to record
+ * @returns {Set} Selected records that are drawn in the chart
+ */
+function resolveSelection(selection, records) {
+    const all = [...records.values()];
+    if (selection == null) return new Set();
+    if (typeof selection === 'function') return new Set(all.filter(selection));
+    const wanted = new Set(selection);
+    return new Set(all.filter(record => wanted.has(record)));
+}
+
+/**
+ * Find the mark group, a direct child of the chart SVG, that holds the first dot
+ * @param {Element} root - Chart SVG element
+ * @returns {Element|null} Mark group
+ */
+function dotLayer(root) {
+    let node = root.querySelector(DOT_SELECTOR);
+    while (node && node.parentNode !== root) node = node.parentNode;
+    return node;
+}
+
+/**
+ * Make the points of a rendered chart selectable. User selections call
+ * onSelect and fire a 'selection' event on the chart element.
+ * @param {Element} plot - Element returned by Plot.plot
+ * @param {Object} options - Selection options
+ * @param {Map} options.records - Map of dot key to the original record
+ * @param {Function} options.valueOf - Value of a record along the value axis
+ * @param {Function} options.categoryOf - Category of a record
+ * @param {boolean} options.horizontal - Whether the value axis is x (default true)
+ * @param {boolean} options.brush - Whether to add a value-axis brush per category
+ * @param {Array|Function} options.selection - Initially selected records, or a predicate
+ * @param {Function} options.onSelect - Called with the selected records after user interaction
+ * @param {string} options.selectedColor - Outline color of selected points
+ * @param {number} options.unselectedOpacity - Opacity of the other points while a selection exists
+ */
+export function attachSelection(plot, options) {
+    const {
+        records,
+        valueOf,
+        categoryOf,
+        horizontal = true,
+        brush = false,
+        selection = null,
+        onSelect = null,
+        selectedColor = '#ff9800',
+        unselectedOpacity = 0.2
+    } = options;
+    const root = chartSvg(plot);
+    if (!root) return;
+
+    let selected = resolveSelection(selection, records);
+
+    const restyle = () => {
+        root.querySelectorAll(DOT_SELECTOR).forEach(element => {
+            const record = records.get(element.getAttribute(KEY_ATTRIBUTE));
+            const isSelected = selected.has(record);
+            setDotOutline(element, 'selection', isSelected ? { color: selectedColor, width: 2 } : null);
+            if (selected.size > 0 && !isSelected) element.style.opacity = unselectedOpacity;
+            else element.style.removeProperty('opacity');
+        });
+    };
+
+    // Selected records in data order
+    const current = () => [...records.values()].filter(record => selected.has(record));
+
+    const select = (next, notify) => {
+        selected = resolveSelection(next, records);
+        restyle();
+        if (!notify) return;
+        const chosen = current();
+        if (onSelect) onSelect(chosen);
+        // Let linked views follow user selections; the event bubbles out of facet panels.
+        // Events must come from the chart's own window when it lives in jsdom
+        const { CustomEvent } = plot.ownerDocument.defaultView ?? globalThis;
+        plot.dispatchEvent(new CustomEvent('selection', { detail: { records: chosen }, bubbles: true }));
+    };
+
+    // Click a dot to select it, shift-click to toggle it
+    root.addEventListener('click', event => {
+        const element = event.target.closest?.(DOT_SELECTOR);
+        if (!element) {
+            // Clicks on the brush overlay are handled by the brush
+            if (!brush && selected.size > 0 && !event.shiftKey) select(null, true);
+            return;
+        }
+        const record = records.get(element.getAttribute(KEY_ATTRIBUTE));
+        if (event.shiftKey) {
+            const next = new Set(selected);
+            if (next.has(record)) next.delete(record);
+            else next.add(record);
+            select([...next], true);
+        } else {
+            const only = selected.size === 1 && selected.has(record);
+            select(only ? null : [record], true);
+        }
+    });
+
+    if (brush) {
+        const valueScale = plot.scale(horizontal ? 'x' : 'y');
+        const bandScale = plot.scale(horizontal ? 'fy' : 'fx');
+        const [low, high] = d3.extent(valueScale.range);
+        const layer = d3.select(root.ownerDocument.createElementNS(d3.namespaces.svg, 'g'))
+            .attr('aria-label', 'brush');
+        // Brush overlay of each category, for brushes that start on a dot
+        const overlays = new Map();
+        // Whether the current brush started on a dot, whose click selects it instead
+        let fromDot = false;
+
+        bandScale.domain.forEach(category => {
+            const start = bandScale.apply(category);
+            const end = start + bandScale.bandwidth;
+            const categoryBrush = (horizontal ? d3.brushX() : d3.brushY())
+                .extent(horizontal ? [[low, start], [high, end]] : [[start, low], [end, high]])
+                .on('end', function (event) {
+                    // Ignore the programmatic clear below
+                    if (!event.sourceEvent) return;
+                    const extend = event.sourceEvent.shiftKey;
+                    if (!event.selection) {
+                        if (!extend && !fromDot) select(null, true);
+                        return;
+                    }
+                    const [v0, v1] = d3.extent(event.selection, valueScale.invert);
+                    const brushed = [...records.values()].filter(record => {
+                        const value = valueOf(record);
+                        return categoryOf(record) === category && value >= v0 && value <= v1;
+                    });
+                    select(extend ? [...selected, ...brushed] : brushed, true);
+                    // The brushed points stay highlighted, so the brush itself can go
+                    d3.select(this).call(categoryBrush.move, null);
+                });
+            const group = layer.append('g').call(categoryBrush);
+            overlays.set(category, group.select('.overlay').node());
+        });
+
+        // Below the dots, so that clicks and hovers on a dot still reach it
+        root.insertBefore(layer.node(), dotLayer(root));
+
+        // A drag that starts on a dot starts the brush of the dot's category; a
+        // click without a drag still reaches the dot. This listens while capturing,
+        // because the brush stops the mousedowns it handles from bubbling.
+        let passing = false;
+        root.addEventListener('mousedown', event => {
+            if (passing) return;
+            const element = event.target.closest?.(DOT_SELECTOR);
+            fromDot = Boolean(element);
+            if (!element) return;
+            const overlay = overlays.get(categoryOf(records.get(element.getAttribute(KEY_ATTRIBUTE))));
+            if (!overlay) return;
+            const { MouseEvent } = root.ownerDocument.defaultView ?? globalThis;
+            passing = true;
+            overlay.dispatchEvent(new MouseEvent('mousedown', {
+                bubbles: true,
+                cancelable: true,
+                view: event.view,
+                clientX: event.clientX,
+                clientY: event.clientY,
+                screenX: event.screenX,
+                screenY: event.screenY,
+                button: event.button,
+                shiftKey: event.shiftKey,
+                ctrlKey: event.ctrlKey,
+                altKey: event.altKey,
+                metaKey: event.metaKey
+            }));
+            passing = false;
+        }, true);
+    }
+
+    restyle();
+
+    /**
+     * Replace the selection without calling onSelect
+     * @param {Array|Function|null} next - Records, a predicate over records, or null to clear
+     */
+    plot.setSelection = next => select(next, false);
+
+    /**
+     * Currently selected records, in data order
+     * @returns {Array} Selected records
+     */
+    plot.getSelection = current;
+}
+
+export default {
+    attachSelection,
+    setDotOutline
+};
@@ -0,0 +1,304 @@
+/**
+ * Alphaswarm Charts - Static Rendering
+ *
+ * Renders charts to standalone SVG markup and PNG images, for reports and
+ * snapshot tests. Works in the browser and in Node against a DOM
+ * implementation such as jsdom. Figures that wrap the chart with a title,
+ * legends or facet panels are flattened into a single SVG.
+ *
+ * This module does not import the chart functions, which import it; the
+ * main module passes them to staticRenderers instead.
+ */
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// Attributes of an SVG element that do not carry over to a group
+const SVG_SIZING = ['width', 'height', 'viewBox', 'xmlns'];
+
+// Matches the font Plot uses for axes and legends
+const FONT_FAMILY = 'system-ui, sans-serif';
+
+// Plot titles and subtitles, as font size and line height in pixels
+const HEADINGS = { h2: [16, 24], h3: [12, 20] };
+
+// Swatch legend geometry, mirroring Plot's legend styles
+const SWATCH_ROW = 22;
+const SWATCH_GAP = 5;
+const SWATCH_MARGIN = 10;
+
+/**
+ * Estimate the width of a text label; there is no layout engine in Node
+ * @param {string} text - Label text
+ * @param {number} fontSize - Font size in pixels
+ * @returns {number} Width in pixels
+ */
+function textWidth(text, fontSize) {
+    return text.length * fontSize * 0.6;
+}
+
+/**
+ * Create an SVG element in a document
+ * @param {Document} document - Owner document
+ * @param {string} name - Element name
+ * @param {Object} attributes - Attributes to set
+ * @returns {SVGElement} New element
+ */
+function svgElement(document, name, attributes = {}) {
+    const element = document.createElementNS(SVG_NAMESPACE, name);
+    Object.entries(attributes).forEach(([attribute, value]) => element.setAttribute(attribute, value));
+    return element;
+}
+
+/**
+ * Lay out a Plot swatch legend as SVG, wrapping rows at the given width
+ * @param {Element} legend - Swatch legend element (a div of spans)
+ * @param {number} width - Available width in pixels
+ * @returns {Object} Object with node, width and height
+ */
+function flattenSwatches(legend, width) {
+    const document = legend.ownerDocument;
+    const g = svgElement(document, 'g', { 'font-size': 10 });
+    const swatches = [...legend.children].filter(child => child.tagName.toLowerCase() === 'span');
+    // Rows grow to fit the tallest icon, such as the largest circle of a size legend
+    const rowHeight = Math.max(SWATCH_ROW, ...swatches.map(swatch => +(swatch.querySelector('svg')?.getAttribute('height') ?? 0) + 4));
+    let x = 0;
+    let y = 0;
+    swatches.forEach(swatch => {
+        const icon = swatch.querySelector('svg');
+        const label = swatch.textContent.trim();
+        const iconWidth = icon ? +icon.getAttribute('width') + SWATCH_GAP : 0;
+        const itemWidth = iconWidth + textWidth(label, 10) + SWATCH_MARGIN;
+        if (x > 0 && x + itemWidth > width) {
+            x = 0;
+            y += rowHeight;
+        }
+        if (icon) {
+            const copy = icon.cloneNode(true);
+            copy.setAttribute('x', x);
+            copy.setAttribute('y', y + (rowHeight - +icon.getAttribute('height')) / 2);
+            g.appendChild(copy);
+        }
+        const text = svgElement(document, 'text', { x: x + iconWidth, y: y + rowHeight / 2, dy: '0.32em' });
+        text.textContent = label;
+        g.appendChild(text);
+        x += itemWidth;
+    });
+    return { node: g, width, height: y + rowHeight + 4 };
+}
+
+/**
+ * Flatten a rendered chart, or one of its parts, into SVG
+ * @param {Element} element - SVG element, figure, facet grid or legend
+ * @param {number} available - Width available for wrapping legends
+ * @returns {Object|null} Object with node, width and height; null for parts with nothing to draw
+ */
+function flatten(element, available) {
+    const document = element.ownerDocument;
+    const tag = element.tagName.toLowerCase();
+
+    // Nested SVG elements would pick up Plot's responsive sizing styles, so
+    // each one becomes a group; Plot's viewBox always matches its size
+    if (tag === 'svg') {
+        const node = svgElement(document, 'g');
+        [...element.attributes]
+            .filter(attribute => !SVG_SIZING.includes(attribute.name))
+            .forEach(attribute => node.setAttribute(attribute.name, attribute.value));
+        element.childNodes.forEach(child => node.appendChild(child.cloneNode(true)));
+        return { node, width: +element.getAttribute('width'), height: +element.getAttribute('height') };
+    }
+
+    if (HEADINGS[tag]) {
+        const [fontSize, lineHeight] = HEADINGS[tag];
+        const node = svgElement(document, 'text', {
+            y: lineHeight / 2,
+            dy: '0.32em',
+            'font-size': fontSize,
+            'font-weight': tag === 'h2' ? 'bold' : 'normal'
+        });
+        node.textContent = element.textContent;
+        return { node, width: textWidth(element.textContent, fontSize), height: lineHeight };
+    }
+
+    if (tag === 'div' && /-swatches\b/.test(element.getAttribute('class') ?? '')) {
+        return flattenSwatches(element, available);
+    }
+
+    if (tag === 'div' && element.classList.contains('alphaswarm-facet-grid')) {
+        const match = /repeat\(\s*(\d+)\s*,\s*([\d.]+)px\s*\)/.exec(element.style.gridTemplateColumns);
+        const columns = match ? +match[1] : 1;
+        const g = svgElement(document, 'g');
+        const panels = [...element.children].map(panel => flatten(panel, available / columns)).filter(Boolean);
+        const columnWidth = match ? +match[2] : Math.max(...panels.map(panel => panel.width));
+        let height = 0;
+        for (let start = 0; start < panels.length; start += columns) {
+            const row = panels.slice(start, start + columns);
+            row.forEach((panel, column) => g.appendChild(place(panel, column * columnWidth, height)));
+            height += Math.max(...row.map(panel => panel.height));
+        }
+        return { node: g, width: columns * columnWidth, height };
+    }
+
+    if (tag === 'figure' || tag === 'div') {
+        // Legends wrap to the width of the widest chart in the figure
+        const children = [...element.children];
+        const widest = Math.max(0, ...children
+            .filter(child => child.tagName.toLowerCase() === 'svg')
+            .map(child => +child.getAttribute('width')));
+        const parts = children.map(child => flatten(child, widest || available)).filter(Boolean);
+        if (parts.length === 0) return null;
+        // Keep inline styles, such as a color inherited by the whole figure
+        const g = svgElement(document, 'g');
+        if (element.hasAttribute('style')) g.setAttribute('style', element.getAttribute('style'));
+        let height = 0;
+        parts.forEach(part => {
+            g.appendChild(place(part, 0, height));
+            height += part.height;
+        });
+        return { node: g, width: Math.max(...parts.map(part => part.width)), height };
+    }
+
+    // Styles, tooltips and other HTML have no static equivalent
+    return null;
+}
+
+/**
+ * Position a flattened part
+ * @param {Object} part - Object with node, width and height
+ * @param {number} x - Left edge in pixels
+ * @param {number} y - Top edge in pixels
+ * @returns {SVGElement} Positioned element
+ */
+function place(part, x, y) {
+    if (x !== 0 || y !== 0) part.node.setAttribute('transform', `translate(${x},${y})`);
+    return part.node;
+}
+
+/**
+ * Serialize a rendered chart as a standalone SVG document
+ * @param {Element} chart - Element returned by createAlphaswarmChart or createVerticalAlphaswarmChart
+ * @param {Object} options - Serialization options
+ * @param {string} options.background - Background color; transparent when null
+ * @returns {string} SVG markup
+ */
+export function serializeChart(chart, options = {}) {
+    const { background = null } = options;
+    const document = chart.ownerDocument;
+    const width = +chart.getAttribute?.('width') || 800;
+    const part = flatten(chart, width);
+    if (!part) throw new Error('Nothing to serialize: the element is not a chart');
+
+    const root = svgElement(document, 'svg', {
+        width: Math.ceil(part.width),
+        height: Math.ceil(part.height),
+        viewBox: `0 0 ${Math.ceil(part.width)} ${Math.ceil(part.height)}`,
+        'font-family': FONT_FAMILY,
+        'font-size': 10
+    });
+    if (background) {
+        root.appendChild(svgElement(document, 'rect', { width: '100%', height: '100%', fill: background }));
+    }
+    root.appendChild(place(part, 0, 0));
+
+    const { XMLSerializer } = document.defaultView ?? globalThis;
+    return new XMLSerializer().serializeToString(root);
+}
+
+/**
+ * Read the pixel size of serialized SVG markup
+ * @param {string} svg - SVG markup from serializeChart
+ * @returns {Object} Object with width and height
+ */
+function svgSize(svg) {
+    const tag = /<svg\b[^>]*>/.exec(svg)?.[0] ?? '';
+    return {
+        width: +(/\swidth="([\d.]+)"/.exec(tag)?.[1] ?? 0),
+        height: +(/\sheight="([\d.]+)"/.exec(tag)?.[1] ?? 0)
+    };
+}
+
+/**
+ * Rasterize SVG markup to PNG. Browsers draw it on a canvas; in Node, pass a
+ * rasterize function backed by a library such as @resvg/resvg-js.
+ * @param {string} svg - SVG markup from serializeChart
+ * @param {Object} options - Rasterization options
+ * @param {number} options.pixelRatio - Output pixels per SVG pixel (default 1)
+ * @param {Function} options.rasterize - (svg, { width, height, pixelRatio }) => PNG data,
+ *     used instead of the canvas
+ * @returns {Promise} PNG as a Blob in the browser, or whatever rasterize returns
+ */
+export async function rasterizeSvg(svg, options = {}) {
+    const { pixelRatio = 1, rasterize = null } = options;
+    const { width, height } = svgSize(svg);
+    if (rasterize) return rasterize(svg, { width, height, pixelRatio });
+
+    if (typeof Image === 'undefined' || typeof document === 'undefined' || typeof URL.createObjectURL !== 'function') {
+        throw new Error('PNG output needs a browser canvas; in Node, pass a rasterize function');
+    }
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    try {
+        const image = new Image();
+        await new Promise((resolve, reject) => {
+            image.onload = resolve;
+            image.onerror = () => reject(new Error('Could not load the chart SVG for rasterization'));
+            image.src = url;
+        });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(width * pixelRatio);
+        canvas.height = Math.ceil(height * pixelRatio);
+        const context = canvas.getContext('2d');
+        context.scale(pixelRatio, pixelRatio);
+        context.drawImage(image, 0, 0, width, height);
+        return await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Create the functions that render charts straight to SVG markup or PNG
+ * @param {Object} charts - Chart functions by orientation
+ * @param {Function} charts.horizontal - Creates a horizontal chart (createAlphaswarmChart)
+ * @param {Function} charts.vertical - Creates a vertical chart (createVerticalAlphaswarmChart)
+ * @returns {Object} Object with renderSvg and renderPng
+ */
+export function staticRenderers(charts) {
+    /**
+     * Render a chart straight to SVG markup
+     * @param {Array} data - Array of data objects
+     * @param {Object} options - Chart options, plus the ones below
+     * @param {string} options.orientation - 'horizontal' (default) or 'vertical'
+     * @param {Document} options.document - Document to render into, such as
+     *     new JSDOM().window.document; defaults to the global document
+     * @param {string} options.background - Background color; transparent when null
+     * @returns {string} SVG markup
+     */
+    function renderSvg(data, options = {}) {
+        const { orientation = 'horizontal', document = globalThis.document, background = null, ...chartOptions } = options;
+        if (!document) {
+            throw new Error('No document to render into; pass options.document, such as new JSDOM().window.document');
+        }
+        const create = orientation === 'vertical' ? charts.vertical : charts.horizontal;
+        const chart = create(data, { ...chartOptions, document });
+        return serializeChart(chart, { background });
+    }
+
+    /**
+     * Render a chart straight to PNG
+     * @param {Array} data - Array of data objects
+     * @param {Object} options - Options of renderSvg and rasterizeSvg; background defaults to white
+     * @returns {Promise} PNG as a Blob in the browser, or whatever rasterize returns
+     */
+    async function renderPng(data, options = {}) {
+        const { pixelRatio = 1, rasterize = null, background = 'white', ...svgOptions } = options;
+        const svg = renderSvg(data, { ...svgOptions, background });
+        return rasterizeSvg(svg, { pixelRatio, rasterize });
+    }
+
+    return { renderSvg, renderPng };
+}
+
+export default {
+    staticRenderers,
+    serializeChart,
+    rasterizeSvg
+};
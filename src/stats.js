@@ -0,0 +1,1175 @@
+/**
+ * Alphaswarm Charts - Statistics
+ *
+ * Summary statistics used for the chart overlays. Quantiles follow the
+ * Hyndman & Fan (1996) definitions, numbered 1-9 as in R's quantile().
+ */
+
+import * as d3 from 'd3';
+
+// Tolerance used when deciding whether n * p lands exactly on an order statistic
+const FUZZ = 4 * Number.EPSILON;
+
+/**
+ * Offset m(p) for each continuous quantile type (4-9)
+ */
+const CONTINUOUS_OFFSETS = {
+    4: () => 0,
+    5: () => 0.5,
+    6: p => p,
+    7: p => 1 - p,
+    8: p => (p + 1) / 3,
+    9: p => p / 4 + 3 / 8
+};
+
+/**
+ * Read a value as a number. Numbers are kept and numeric strings are parsed;
+ * blank strings, booleans and everything else give NaN, so that empty CSV
+ * cells are never read as zero.
+ * @param {*} value - Value to read
+ * @returns {number} The number, or NaN
+ */
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim() !== '') return +value;
+    return NaN;
+}
+
+/**
+ * Split values into finite numbers and a count of dropped entries.
+ * null, undefined, NaN, ±Infinity, blank strings, booleans and anything
+ * else that is not a finite number or numeric string are dropped. When weights are given, entries with a
+ * non-finite or negative weight are dropped too, and zero-weight entries
+ * are left out without being counted as dropped.
+ * @param {Array} values - Array of values
+ * @param {Array} weights - Optional weights, one per value
+ * @returns {Object} Object with the finite values, their weights (when given)
+ *     and the dropped count
+ */
+export function cleanValues(values, weights = null) {
+    const finite = [];
+    const kept = [];
+    let dropped = 0;
+    (values || []).forEach((value, i) => {
+        const number = toNumber(value);
+        const weight = weights ? toNumber(weights[i]) : 1;
+        if (!Number.isFinite(number) || !Number.isFinite(weight) || weight < 0) {
+            dropped++;
+        } else if (weight > 0) {
+            finite.push(number);
+            kept.push(weight);
+        }
+    });
+    return weights ? { values: finite, weights: kept, dropped } : { values: finite, dropped };
+}
+
+/**
+ * Hyndman-Fan quantile of a sample given through its order statistics
+ * @param {number} n - Sample size
+ * @param {number} p - Probability (0-1)
+ * @param {number} type - Hyndman-Fan quantile type (1-9)
+ * @param {Function} at - Order statistic for a 1-based index, clamped to the sample
+ * @returns {number} The quantile
+ */
+function hyndmanFan(n, p, type, at) {
+    if (!Number.isInteger(type) || type < 1 || type > 9) {
+        throw new Error(`Quantile type must be an integer from 1 to 9, got ${type}`);
+    }
+
+    const m = type <= 3 ? (type === 3 ? -0.5 : 0) : CONTINUOUS_OFFSETS[type](p);
+    const h = n * p + m;
+    const j = Math.floor(h + FUZZ);
+    const g = Math.abs(h - j) < FUZZ ? 0 : h - j;
+
+    let gamma;
+    if (type === 1) {
+        gamma = g > 0 ? 1 : 0;
+    } else if (type === 2) {
+        gamma = g > 0 ? 1 : 0.5;
+    } else if (type === 3) {
+        gamma = g === 0 && j % 2 === 0 ? 0 : 1;
+    } else {
+        gamma = g;
+    }
+
+    return gamma === 0 ? at(j) : (1 - gamma) * at(j) + gamma * at(j + 1);
+}
+
+/**
+ * Compute a quantile of already sorted, finite values
+ * @param {number[]} sorted - Values sorted in ascending order
+ * @param {number} p - Probability (0-1)
+ * @param {number} type - Hyndman-Fan quantile type (1-9)
+ * @returns {number} The quantile, or NaN for empty input
+ */
+export function quantileSorted(sorted, p, type = 7) {
+    const n = sorted.length;
+    if (n === 0 || !(p >= 0 && p <= 1)) {
+        return NaN;
+    }
+    // Order statistic with 1-based index, clamped to the sample
+    return hyndmanFan(n, p, type, k => sorted[Math.min(n, Math.max(1, k)) - 1]);
+}
+
+/**
+ * Compute a weighted quantile of already sorted, finite values. Each value
+ * stands for as many observations as its weight, and the Hyndman-Fan
+ * definition is applied to that expanded sample without building it. With
+ * whole-number counts this equals the quantile of the expanded data; with
+ * equal weights of 1 it equals the unweighted quantile.
+ * @param {number[]} sorted - Values sorted in ascending order
+ * @param {number[]} weights - Positive weights, aligned with sorted
+ * @param {number} p - Probability (0-1)
+ * @param {number} type - Hyndman-Fan quantile type (1-9)
+ * @returns {number} The quantile, or NaN for empty input
+ */
+export function weightedQuantileSorted(sorted, weights, p, type = 7) {
+    const count = sorted.length;
+    if (count === 0 || !(p >= 0 && p <= 1)) {
+        return NaN;
+    }
+
+    const cumulative = [];
+    weights.reduce((sum, w, i) => (cumulative[i] = sum + w), 0);
+    const total = cumulative[count - 1];
+    const tolerance = FUZZ * count * total;
+    // Rescaled weights can sum to a whole number only up to rounding
+    const n = Math.abs(total - Math.round(total)) <= tolerance ? Math.round(total) : total;
+    // The k-th smallest expanded observation: the first value whose
+    // cumulative weight reaches k
+    const at = k => {
+        const target = Math.min(n, Math.max(1, k)) - tolerance;
+        let low = 0;
+        let high = count - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (cumulative[mid] >= target) high = mid; else low = mid + 1;
+        }
+        return sorted[low];
+    };
+    return hyndmanFan(n, p, type, at);
+}
+
+/**
+ * Compute a quantile of an array of values. Non-finite values are ignored.
+ * @param {Array} values - Array of values
+ * @param {number} p - Probability (0-1)
+ * @param {number} type - Hyndman-Fan quantile type (1-9)
+ * @returns {number} The quantile, or NaN when there are no finite values
+ */
+export function quantile(values, p, type = 7) {
+    const sorted = cleanValues(values).values.sort((a, b) => a - b);
+    return quantileSorted(sorted, p, type);
+}
+
+/**
+ * Result returned when there are no finite values to summarise
+ * @param {number} dropped - Number of non-finite values that were dropped
+ * @param {number[]} percentiles - Requested percentiles
+ * @returns {Object} Statistics object flagged as empty
+ */
+function emptyStats(dropped, percentiles) {
+    return {
+        empty: true,
+        count: 0,
+        dropped,
+        totalWeight: 0,
+        effectiveCount: 0,
+        mean: NaN,
+        median: NaN,
+        min: NaN,
+        max: NaN,
+        q1: NaN,
+        q3: NaN,
+        iqr: NaN,
+        variance: NaN,
+        stdDev: NaN,
+        stdError: NaN,
+        mad: NaN,
+        percentiles: Object.fromEntries(percentiles.map(pct => [pct, NaN]))
+    };
+}
+
+// How weights are read: 'frequency' weights count observations, as for
+// pre-aggregated rows; 'sampling' weights give each value's relative importance
+export const WEIGHT_TYPES = ['frequency', 'sampling'];
+
+/**
+ * Decide how weights are read. 'auto' reads them as frequency weights when
+ * every usable weight is a whole count, and as sampling weights otherwise.
+ * @param {string} weightType - 'auto', or one of WEIGHT_TYPES
+ * @param {Array} weights - Weights, one per value; invalid and zero weights are skipped
+ * @returns {string} 'frequency' or 'sampling'
+ */
+export function resolveWeightType(weightType, weights) {
+    if (weightType === 'auto') {
+        const usable = (weights || []).map(toNumber).filter(w => Number.isFinite(w) && w > 0);
+        return usable.every(Number.isInteger) ? 'frequency' : 'sampling';
+    }
+    if (!WEIGHT_TYPES.includes(weightType)) {
+        throw new Error(`Unknown weightType "${weightType}"; use "auto", "frequency" or "sampling"`);
+    }
+    return weightType;
+}
+
+/**
+ * Calculate summary statistics for a dataset
+ * @param {Array} values - Array of numeric values; null, NaN and ±Infinity are dropped
+ * @param {Object} options - Statistics options
+ * @param {number} options.quantileType - Hyndman-Fan quantile type (1-9, default 7)
+ * @param {number[]} options.percentiles - Extra percentiles to compute (0-100)
+ * @param {number[]} options.weights - Optional weights, one per value (see weightedStats)
+ * @param {string} options.weightType - 'auto' (default), 'frequency' or 'sampling' (see resolveWeightType)
+ * @returns {Object} Statistics object with mean, median, min, max, q1, q3, iqr,
+ *     variance, stdDev, stdError, mad, percentiles, count, totalWeight,
+ *     effectiveCount, dropped and empty
+ */
+export function calculateStats(values, options = {}) {
+    const {
+        quantileType = 7,
+        percentiles = [],
+        weights = null,
+        weightType = 'auto'
+    } = options;
+
+    if (weights) {
+        return weightedStats(values, weights, { percentiles, quantileType, weightType });
+    }
+
+    const cleaned = cleanValues(values);
+    const n = cleaned.values.length;
+    if (n === 0) {
+        return emptyStats(cleaned.dropped, percentiles);
+    }
+
+    const sorted = cleaned.values.sort((a, b) => a - b);
+    const q = p => quantileSorted(sorted, p, quantileType);
+
+    const mean = sorted.reduce((sum, val) => sum + val, 0) / n;
+    const median = q(0.5);
+    const q1 = q(0.25);
+    const q3 = q(0.75);
+
+    // Sample variance (n - 1 denominator); undefined for a single value
+    const variance = n > 1
+        ? sorted.reduce((sum, val) => sum + (val - mean) ** 2, 0) / (n - 1)
+        : NaN;
+    const stdDev = Math.sqrt(variance);
+
+    const deviations = sorted.map(val => Math.abs(val - median)).sort((a, b) => a - b);
+    const mad = quantileSorted(deviations, 0.5, quantileType);
+
+    return {
+        empty: false,
+        count: n,
+        dropped: cleaned.dropped,
+        totalWeight: n,
+        effectiveCount: n,
+        mean,
+        median,
+        min: sorted[0],
+        max: sorted[n - 1],
+        q1,
+        q3,
+        iqr: q3 - q1,
+        variance,
+        stdDev,
+        stdError: stdDev / Math.sqrt(n),
+        mad,
+        percentiles: Object.fromEntries(percentiles.map(pct => [pct, q(pct / 100)]))
+    };
+}
+
+/**
+ * Weighted version of calculateStats. Quantiles come from weightedQuantileSorted
+ * with the requested quantile type.
+ * - Frequency weights must be whole counts. The results match the unweighted
+ *   ones for the expanded data: the variance divides by W - 1 and the
+ *   standard error by √W, where W is the total weight.
+ * - Sampling weights are rescaled to sum to the number of values before the
+ *   quantiles are taken. The variance treats them as reliability weights,
+ *   Σw(x - mean)² / (W - Σw² / W), and the standard error uses Kish's
+ *   effective sample size W² / Σw².
+ * Both reduce to the unweighted results for weights of 1.
+ * @param {Array} values - Array of numeric values
+ * @param {Array} weights - Weights, one per value
+ * @param {Object} options - percentiles, quantileType and weightType, as for calculateStats
+ * @returns {Object} Statistics object, as for calculateStats
+ */
+function weightedStats(values, weights, options) {
+    const { percentiles, quantileType } = options;
+    const frequency = resolveWeightType(options.weightType, weights) === 'frequency';
+    const cleaned = cleanValues(values, weights);
+    const n = cleaned.values.length;
+    if (n === 0) {
+        return emptyStats(cleaned.dropped, percentiles);
+    }
+    if (frequency && !cleaned.weights.every(Number.isInteger)) {
+        throw new Error('Frequency weights must be whole counts; use weightType: "sampling" for other weights');
+    }
+
+    const order = cleaned.values.map((_, i) => i).sort((a, b) => cleaned.values[a] - cleaned.values[b]);
+    const sorted = order.map(i => cleaned.values[i]);
+    const sortedWeights = order.map(i => cleaned.weights[i]);
+
+    const totalWeight = sortedWeights.reduce((sum, w) => sum + w, 0);
+    const squaredWeight = sortedWeights.reduce((sum, w) => sum + w * w, 0);
+    const effectiveCount = frequency ? totalWeight : totalWeight * totalWeight / squaredWeight;
+
+    const quantileWeights = frequency ? sortedWeights : sortedWeights.map(w => w * n / totalWeight);
+    const q = p => weightedQuantileSorted(sorted, quantileWeights, p, quantileType);
+
+    const mean = sorted.reduce((sum, val, i) => sum + sortedWeights[i] * val, 0) / totalWeight;
+    const median = q(0.5);
+    const q1 = q(0.25);
+    const q3 = q(0.75);
+
+    const denominator = frequency ? totalWeight - 1 : totalWeight - squaredWeight / totalWeight;
+    const variance = denominator > 0
+        ? sorted.reduce((sum, val, i) => sum + sortedWeights[i] * (val - mean) ** 2, 0) / denominator
+        : NaN;
+    const stdDev = Math.sqrt(variance);
+
+    const deviationOrder = sorted.map((_, i) => i)
+        .sort((a, b) => Math.abs(sorted[a] - median) - Math.abs(sorted[b] - median));
+    const mad = weightedQuantileSorted(
+        deviationOrder.map(i => Math.abs(sorted[i] - median)),
+        deviationOrder.map(i => quantileWeights[i]),
+        0.5,
+        quantileType
+    );
+
+    return {
+        empty: false,
+        count: n,
+        dropped: cleaned.dropped,
+        totalWeight,
+        effectiveCount,
+        mean,
+        median,
+        min: sorted[0],
+        max: sorted[n - 1],
+        q1,
+        q3,
+        iqr: q3 - q1,
+        variance,
+        stdDev,
+        stdError: stdDev / Math.sqrt(effectiveCount),
+        mad,
+        percentiles: Object.fromEntries(percentiles.map(pct => [pct, q(pct / 100)]))
+    };
+}
+
+/**
+ * Compute Tukey fences and whisker ends for a dataset
+ * @param {Array} values - Array of numeric values; non-finite values are ignored
+ * @param {Object} stats - Statistics from calculateStats for the same values
+ * @param {number} multiplier - IQR multiplier for the fences (1.5 in Tukey's original)
+ * @param {number[]} weights - Optional weights, one per value; values whose
+ *     weight is zero or invalid are left out, as in the statistics
+ * @returns {Object} Object with lowerFence, upperFence, whiskerLow and whiskerHigh;
+ *     the whiskers end at the most extreme values inside the fences
+ */
+export function tukeyWhiskers(values, stats, multiplier = 1.5, weights = null) {
+    const lowerFence = stats.q1 - multiplier * stats.iqr;
+    const upperFence = stats.q3 + multiplier * stats.iqr;
+    let whiskerLow = NaN;
+    let whiskerHigh = NaN;
+    for (const value of cleanValues(values, weights).values) {
+        if (value >= lowerFence && !(value >= whiskerLow)) whiskerLow = value;
+        if (value <= upperFence && !(value <= whiskerHigh)) whiskerHigh = value;
+    }
+    return { lowerFence, upperFence, whiskerLow, whiskerHigh };
+}
+
+// Default cut-offs for each outlier rule
+const OUTLIER_THRESHOLDS = {
+    tukey: 1.5,
+    zscore: 3,
+    mad: 3.5
+};
+
+/**
+ * Flag outlying values using one of the standard rules:
+ * - 'tukey': outside the Tukey fences (threshold is the IQR multiplier, default 1.5)
+ * - 'zscore': |x - mean| / stdDev above the threshold (default 3)
+ * - 'mad': modified z-score 0.6745 |x - median| / MAD above the threshold
+ *   (default 3.5, after Iglewicz & Hoaglin)
+ * @param {Array} values - Array of numeric values
+ * @param {Object} options - Outlier options
+ * @param {string} options.method - Rule to apply ('tukey', 'zscore' or 'mad')
+ * @param {number} options.threshold - Cut-off for the rule
+ * @param {Object} options.stats - Precomputed statistics for the values, if available
+ * @returns {boolean[]} One flag per value; non-finite values are never flagged
+ */
+export function detectOutliers(values, options = {}) {
+    const {
+        method = 'tukey',
+        threshold = OUTLIER_THRESHOLDS[method],
+        stats = calculateStats(values)
+    } = options;
+
+    if (!Object.hasOwn(OUTLIER_THRESHOLDS, method)) {
+        throw new Error(`Unknown outlier method '${method}'. Use 'tukey', 'zscore' or 'mad'`);
+    }
+
+    let isOutlier;
+    if (method === 'tukey') {
+        const { lowerFence, upperFence } = tukeyWhiskers([], stats, threshold);
+        isOutlier = x => x < lowerFence || x > upperFence;
+    } else if (method === 'zscore') {
+        isOutlier = x => stats.stdDev > 0 && Math.abs(x - stats.mean) / stats.stdDev > threshold;
+    } else {
+        isOutlier = x => stats.mad > 0 && 0.6745 * Math.abs(x - stats.median) / stats.mad > threshold;
+    }
+
+    return (values || []).map(value => {
+        const number = toNumber(value);
+        return Number.isFinite(number) && !stats.empty && isOutlier(number);
+    });
+}
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @param {number} x - Positive number
+ * @returns {number} ln Γ(x)
+ */
+function logGamma(x) {
+    const c = [
+        76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+    ];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    for (const coefficient of c) {
+        series += coefficient / ++y;
+    }
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b), evaluated with the
+ * continued fraction from Numerical Recipes
+ * @param {number} x - Point in [0, 1]
+ * @param {number} a - First shape parameter
+ * @param {number} b - Second shape parameter
+ * @returns {number} I_x(a, b)
+ */
+function incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+
+    // The continued fraction converges quickly only below this point; use symmetry above it
+    if (x > (a + 1) / (a + b + 2)) {
+        return 1 - incompleteBeta(1 - x, b, a);
+    }
+
+    const front = Math.exp(
+        logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+    );
+
+    const tiny = 1e-30;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    let result = d;
+    for (let m = 1; m <= 200; m++) {
+        const m2 = 2 * m;
+        let step = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 + step * d;
+        d = 1 / (Math.abs(d) < tiny ? tiny : d);
+        c = 1 + step / c;
+        c = Math.abs(c) < tiny ? tiny : c;
+        result *= d * c;
+
+        step = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 + step * d;
+        d = 1 / (Math.abs(d) < tiny ? tiny : d);
+        c = 1 + step / c;
+        c = Math.abs(c) < tiny ? tiny : c;
+        const delta = d * c;
+        result *= delta;
+        if (Math.abs(delta - 1) < 1e-12) break;
+    }
+    return front * result / a;
+}
+
+/**
+ * Cumulative distribution function of Student's t distribution
+ * @param {number} t - t statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number} P(T <= t)
+ */
+export function studentTCdf(t, df) {
+    const tail = 0.5 * incompleteBeta(df / (df + t * t), df / 2, 0.5);
+    return t >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Quantile function of Student's t distribution, found by bisection
+ * @param {number} p - Probability (0-1)
+ * @param {number} df - Degrees of freedom
+ * @returns {number} t such that P(T <= t) = p
+ */
+export function studentTQuantile(p, df) {
+    if (!(p > 0 && p < 1) || !(df > 0)) return NaN;
+    if (p < 0.5) return -studentTQuantile(1 - p, df);
+
+    let low = 0;
+    let high = 1;
+    while (studentTCdf(high, df) < p) {
+        high *= 2;
+    }
+    for (let i = 0; i < 100; i++) {
+        const mid = (low + high) / 2;
+        if (studentTCdf(mid, df) < p) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return (low + high) / 2;
+}
+
+/**
+ * t-based confidence interval for the mean
+ * @param {Array} values - Array of numeric values; non-finite values are ignored
+ * @param {Object} options - Interval options
+ * @param {number} options.level - Confidence level (default 0.95)
+ * @param {number[]} options.weights - Optional weights; the weighted mean and its
+ *     standard error are used, with the effective sample size for the degrees of freedom
+ * @param {string} options.weightType - 'auto' (default), 'frequency' or 'sampling', as for calculateStats
+ * @returns {Object} Object with low, high and level; NaN bounds for fewer than two values
+ */
+export function meanConfidenceInterval(values, options = {}) {
+    const { level = 0.95, weights = null, weightType = 'auto' } = options;
+    const stats = calculateStats(values, { weights, weightType });
+    if (!(stats.effectiveCount > 1)) {
+        return { low: NaN, high: NaN, level };
+    }
+    const margin = studentTQuantile(1 - (1 - level) / 2, stats.effectiveCount - 1) * stats.stdError;
+    return { low: stats.mean - margin, high: stats.mean + margin, level };
+}
+
+/**
+ * Percentile bootstrap confidence interval for a statistic (the median by default).
+ * Resampling is driven by d3.randomLcg, so the same seed gives the same interval.
+ * @param {Array} values - Array of numeric values; non-finite values are ignored
+ * @param {Object} options - Interval options
+ * @param {Function} options.statistic - Statistic of a sorted sample (default: median).
+ *     With weights it is called with the sorted values and their resampled counts.
+ * @param {number} options.level - Confidence level (default 0.95)
+ * @param {number} options.resamples - Number of bootstrap resamples (default 1000)
+ * @param {number} options.seed - Seed for the resampling
+ * @param {Function} options.random - Uniform [0, 1) generator; overrides seed
+ * @param {number[]} options.weights - Optional weights; values are drawn with
+ *     probability proportional to their weight
+ * @param {string} options.weightType - 'auto' (default), 'frequency' or 'sampling',
+ *     as for calculateStats. With frequency weights each resample has as many
+ *     draws as the total weight, like a resample of the expanded data; with
+ *     sampling weights, as many draws as there are values.
+ * @returns {Object} Object with low, high and level; NaN bounds for empty input
+ */
+export function bootstrapConfidenceInterval(values, options = {}) {
+    const {
+        statistic = (sorted, counts) => (counts
+            ? weightedQuantileSorted(sorted, counts, 0.5)
+            : quantileSorted(sorted, 0.5)),
+        level = 0.95,
+        resamples = 1000,
+        seed = 12345,
+        random = d3.randomLcg(seed),
+        weights = null,
+        weightType = 'auto'
+    } = options;
+    const frequency = weights && resolveWeightType(weightType, weights) === 'frequency';
+
+    const cleaned = cleanValues(values, weights);
+    const sample = cleaned.values;
+    const n = sample.length;
+    if (n === 0) {
+        return { low: NaN, high: NaN, level };
+    }
+    if (frequency && !cleaned.weights.every(Number.isInteger)) {
+        throw new Error('Frequency weights must be whole counts; use weightType: "sampling" for other weights');
+    }
+
+    const estimates = new Float64Array(resamples);
+    if (weights) {
+        // Each resample gives every value a count, drawn from the multinomial
+        // distribution one value at a time, so the resample is never expanded
+        const order = d3.range(n).sort((a, b) => sample[a] - sample[b]);
+        const sorted = order.map(i => sample[i]);
+        const sortedWeights = order.map(i => cleaned.weights[i]);
+        const totalWeight = sortedWeights.reduce((sum, w) => sum + w, 0);
+        const size = frequency ? totalWeight : n;
+        const binomial = d3.randomBinomial.source(random);
+        const counts = new Float64Array(n);
+        for (let b = 0; b < resamples; b++) {
+            let remaining = size;
+            let remainingWeight = totalWeight;
+            for (let i = 0; i < n; i++) {
+                const count = remaining > 0 && i < n - 1
+                    ? binomial(remaining, sortedWeights[i] / remainingWeight)()
+                    : remaining;
+                counts[i] = count;
+                remaining -= count;
+                remainingWeight -= sortedWeights[i];
+            }
+            const drawn = d3.range(n).filter(i => counts[i] > 0);
+            estimates[b] = statistic(drawn.map(i => sorted[i]), drawn.map(i => counts[i]));
+        }
+    } else {
+        const resample = new Float64Array(n);
+        for (let b = 0; b < resamples; b++) {
+            for (let i = 0; i < n; i++) {
+                resample[i] = sample[Math.floor(random() * n)];
+            }
+            resample.sort();
+            estimates[b] = statistic(resample);
+        }
+    }
+    estimates.sort();
+
+    const alpha = 1 - level;
+    return {
+        low: quantileSorted(estimates, alpha / 2),
+        high: quantileSorted(estimates, 1 - alpha / 2),
+        level
+    };
+}
+
+/**
+ * Kernel functions on the standardized distance u = (x - xi) / bandwidth,
+ * each integrating to 1. All but the Gaussian vanish outside [-1, 1].
+ */
+const KERNELS = {
+    gaussian: u => Math.exp(-0.5 * u * u) / Math.sqrt(2 * Math.PI),
+    epanechnikov: u => (Math.abs(u) <= 1 ? 0.75 * (1 - u * u) : 0),
+    uniform: u => (Math.abs(u) <= 1 ? 0.5 : 0),
+    triangular: u => (Math.abs(u) <= 1 ? 1 - Math.abs(u) : 0),
+    biweight: u => (Math.abs(u) <= 1 ? (15 / 16) * (1 - u * u) ** 2 : 0),
+    cosine: u => (Math.abs(u) <= 1 ? (Math.PI / 4) * Math.cos((Math.PI / 2) * u) : 0)
+};
+
+/**
+ * Kernel density bandwidth from a rule of thumb. When the spread is zero the
+ * rule falls back to the standard deviation, then to the magnitude of the
+ * values, then to 1, so the result is always positive.
+ * @param {Array} values - Array of numeric values; non-finite values are ignored
+ * @param {string|number} rule - 'silverman' (0.9 min(sd, IQR / 1.34) n^-1/5),
+ *     'scott' (1.06 sd n^-1/5), or a positive number used as-is
+ * @param {number[]} weights - Optional weights; the weighted spread and the
+ *     effective sample size are used
+ * @param {string} weightType - 'auto' (default), 'frequency' or 'sampling', as for calculateStats
+ * @returns {number} Bandwidth, or NaN for empty input
+ */
+export function kernelBandwidth(values, rule = 'silverman', weights = null, weightType = 'auto') {
+    if (typeof rule === 'number') {
+        if (!(rule > 0)) throw new Error('Bandwidth must be a positive number');
+        return rule;
+    }
+    const stats = calculateStats(values, { weights, weightType });
+    if (stats.empty) return NaN;
+    const sd = Number.isFinite(stats.stdDev) ? stats.stdDev : 0;
+    const factor = Math.pow(stats.effectiveCount, -1 / 5);
+    let spread;
+    if (rule === 'silverman') {
+        spread = 0.9 * Math.min(sd, stats.iqr / 1.34) || 0.9 * sd;
+    } else if (rule === 'scott') {
+        spread = 1.06 * sd;
+    } else {
+        throw new Error(`Unknown bandwidth rule "${rule}"; use "silverman", "scott" or a number`);
+    }
+    return (spread || Math.abs(stats.min) || 1) * factor;
+}
+
+/**
+ * Kernel density estimate evaluated on an evenly spaced grid
+ * @param {Array} values - Array of numeric values; non-finite values are ignored
+ * @param {Object} options - Estimation options
+ * @param {string|number} options.bandwidth - Rule ('silverman' or 'scott') or a number (default 'silverman')
+ * @param {string|Function} options.kernel - Kernel name (see KERNELS) or a kernel function
+ *     of the standardized distance (default 'gaussian')
+ * @param {number} options.points - Number of grid points (default 64)
+ * @param {number} options.cut - Grid reach beyond the data, in bandwidths (default 3)
+ * @param {number[]} options.extent - Clamp the grid to [min, max], e.g. a fixed axis domain
+ * @param {number[]} options.weights - Optional weights, one per value
+ * @param {string} options.weightType - How weights are read by the bandwidth rule:
+ *     'auto' (default), 'frequency' or 'sampling', as for calculateStats
+ * @returns {Object} Object with bandwidth and points, an array of { value, density };
+ *     no points for empty input
+ */
+export function kernelDensity(values, options = {}) {
+    const {
+        bandwidth = 'silverman',
+        kernel = 'gaussian',
+        points = 64,
+        cut = 3,
+        extent = null,
+        weights = null,
+        weightType = 'auto'
+    } = options;
+
+    const kernelFn = typeof kernel === 'function' ? kernel : KERNELS[kernel];
+    if (!kernelFn) {
+        throw new Error(`Unknown kernel "${kernel}"; use ${Object.keys(KERNELS).join(', ')} or a function`);
+    }
+
+    const cleaned = cleanValues(values, weights);
+    const h = kernelBandwidth(cleaned.values, bandwidth, cleaned.weights ?? null, weightType);
+    const n = cleaned.values.length;
+    if (n === 0) {
+        return { bandwidth: h, points: [] };
+    }
+
+    const w = cleaned.weights ?? cleaned.values.map(() => 1);
+    const total = w.reduce((sum, weight) => sum + weight, 0);
+    let low = cleaned.values.reduce((min, v) => Math.min(min, v), Infinity) - cut * h;
+    let high = cleaned.values.reduce((max, v) => Math.max(max, v), -Infinity) + cut * h;
+    if (extent) {
+        low = Math.max(low, extent[0]);
+        high = Math.min(high, extent[1]);
+    }
+
+    const count = Math.max(2, Math.floor(points));
+    const step = (high - low) / (count - 1);
+    const grid = [];
+    for (let k = 0; k < count; k++) {
+        const value = low + k * step;
+        let density = 0;
+        for (let i = 0; i < n; i++) {
+            density += w[i] * kernelFn((value - cleaned.values[i]) / h);
+        }
+        grid.push({ value, density: density / (total * h) });
+    }
+    return { bandwidth: h, points: grid };
+}
+
+/**
+ * Complementary error function (Chebyshev fit from Numerical Recipes,
+ * fractional error below 1.2e-7)
+ * @param {number} x - Any number
+ * @returns {number} erfc(x)
+ */
+function erfc(x) {
+    const z = Math.abs(x);
+    const t = 1 / (1 + 0.5 * z);
+    const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+        t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+        t * (-0.82215223 + t * 0.17087277)))))))));
+    return x >= 0 ? r : 2 - r;
+}
+
+/**
+ * Cumulative distribution function of the standard normal distribution
+ * @param {number} z - z score
+ * @returns {number} P(Z <= z)
+ */
+export function normalCdf(z) {
+    return 0.5 * erfc(-z / Math.SQRT2);
+}
+
+/**
+ * Cohen's d with the pooled standard deviation
+ * @param {Object} a - calculateStats result of the first group
+ * @param {Object} b - calculateStats result of the second group
+ * @returns {number} Standardized mean difference (a - b), or NaN without spread
+ */
+function cohensD(a, b) {
+    const na = a.effectiveCount;
+    const nb = b.effectiveCount;
+    const pooled = ((na - 1) * a.variance + (nb - 1) * b.variance) / (na + nb - 2);
+    return pooled > 0 ? (a.mean - b.mean) / Math.sqrt(pooled) : NaN;
+}
+
+/**
+ * Frequency weights of the two groups of a two-sample test
+ * @param {Object} options - Test options, with optional weights [weightsA, weightsB]
+ * @returns {Array} Weights of each group, null for an unweighted group
+ */
+function groupWeights(options) {
+    const [weightsA = null, weightsB = null] = options.weights ?? [];
+    return [weightsA, weightsB];
+}
+
+/**
+ * Clean the values of one group of a two-sample test, with whole-count weights
+ * of 1 when the group has none
+ * @param {Array} values - Values of the group
+ * @param {Array} weights - Frequency weights, or null
+ * @returns {Object} Object with values and weights
+ */
+function countedSample(values, weights) {
+    const cleaned = cleanValues(values, weights);
+    if (!weights) return { values: cleaned.values, weights: cleaned.values.map(() => 1) };
+    if (!cleaned.weights.every(Number.isInteger)) {
+        throw new Error('Comparison weights must be whole counts');
+    }
+    return cleaned;
+}
+
+/**
+ * Welch's unequal-variances t-test, two-sided
+ * @param {Array} a - Values of the first group; non-finite values are ignored
+ * @param {Array} b - Values of the second group; non-finite values are ignored
+ * @param {Object} options - Test options
+ * @param {Array} options.weights - Optional frequency weights of each group,
+ *     [weightsA, weightsB]; each value counts as that many observations
+ * @returns {Object} Object with statistic (t), df, p, meanDifference (a - b) and
+ *     effectSize (Cohen's d); NaN when a group has fewer than two values
+ */
+export function welchTTest(a, b, options = {}) {
+    const [weightsA, weightsB] = groupWeights(options);
+    const sa = calculateStats(a, { weights: weightsA, weightType: 'frequency' });
+    const sb = calculateStats(b, { weights: weightsB, weightType: 'frequency' });
+    const na = sa.effectiveCount;
+    const nb = sb.effectiveCount;
+    const meanDifference = sa.mean - sb.mean;
+    const va = sa.variance / na;
+    const vb = sb.variance / nb;
+    const se = Math.sqrt(va + vb);
+    if (!(na > 1 && nb > 1) || !(se > 0)) {
+        return { statistic: NaN, df: NaN, p: NaN, meanDifference, effectSize: NaN };
+    }
+    const t = meanDifference / se;
+    const df = (va + vb) ** 2 / (va ** 2 / (na - 1) + vb ** 2 / (nb - 1));
+    return {
+        statistic: t,
+        df,
+        p: incompleteBeta(df / (df + t * t), df / 2, 0.5),
+        meanDifference,
+        effectSize: cohensD(sa, sb)
+    };
+}
+
+/**
+ * Mann-Whitney U (Wilcoxon rank-sum) test, two-sided, using the normal
+ * approximation with tie and continuity corrections
+ * @param {Array} a - Values of the first group; non-finite values are ignored
+ * @param {Array} b - Values of the second group; non-finite values are ignored
+ * @param {Object} options - Test options
+ * @param {Array} options.weights - Optional frequency weights of each group,
+ *     [weightsA, weightsB]; a value with count w takes up w tied ranks
+ * @returns {Object} Object with statistic (U of the first group), z, p and
+ *     effectSize (rank-biserial correlation, positive when a tends to be larger)
+ */
+export function mannWhitneyU(a, b, options = {}) {
+    const [weightsA, weightsB] = groupWeights(options);
+    const sa = countedSample(a, weightsA);
+    const sb = countedSample(b, weightsB);
+    const na = sa.weights.reduce((sum, w) => sum + w, 0);
+    const nb = sb.weights.reduce((sum, w) => sum + w, 0);
+    if (na === 0 || nb === 0) {
+        return { statistic: NaN, z: NaN, p: NaN, effectSize: NaN };
+    }
+
+    // Rank the pooled sample, averaging the ranks of ties; a value with
+    // count w covers w consecutive ranks
+    const pooled = [
+        ...sa.values.map((value, i) => ({ value, count: sa.weights[i], first: true })),
+        ...sb.values.map((value, i) => ({ value, count: sb.weights[i], first: false }))
+    ].sort((x, y) => x.value - y.value);
+    const n = na + nb;
+    let below = 0;
+    let rankSum = 0;
+    let tieTerm = 0;
+    for (let i = 0; i < pooled.length;) {
+        let j = i;
+        let ties = pooled[i].count;
+        while (j + 1 < pooled.length && pooled[j + 1].value === pooled[i].value) {
+            j++;
+            ties += pooled[j].count;
+        }
+        const rank = below + (ties + 1) / 2;
+        for (let k = i; k <= j; k++) {
+            if (pooled[k].first) rankSum += rank * pooled[k].count;
+        }
+        tieTerm += ties ** 3 - ties;
+        below += ties;
+        i = j + 1;
+    }
+
+    const u = rankSum - na * (na + 1) / 2;
+    const mean = na * nb / 2;
+    const sigma = Math.sqrt(na * nb / 12 * ((n + 1) - tieTerm / (n * (n - 1))));
+    const effectSize = 2 * u / (na * nb) - 1;
+    if (!(sigma > 0)) {
+        return { statistic: u, z: NaN, p: NaN, effectSize };
+    }
+    const z = (u - mean - 0.5 * Math.sign(u - mean)) / sigma;
+    return { statistic: u, z, p: Math.min(1, 2 * normalCdf(-Math.abs(z))), effectSize };
+}
+
+/**
+ * Draw from the hypergeometric distribution: how many of `draws` items taken
+ * without replacement from `population` items are among its `marked` ones.
+ * The search starts at the mode and moves outwards, so it takes a number of
+ * steps on the order of the standard deviation.
+ * @param {number} population - Number of items
+ * @param {number} marked - Number of marked items
+ * @param {number} draws - Number of items drawn
+ * @param {Function} random - Uniform [0, 1) generator
+ * @returns {number} Number of marked items drawn
+ */
+function hypergeometric(population, marked, draws, random) {
+    const low = Math.max(0, draws - (population - marked));
+    const high = Math.min(marked, draws);
+    if (low === high) return low;
+    const logChoose = (n, k) => logGamma(n + 1) - logGamma(k + 1) - logGamma(n - k + 1);
+    const mode = Math.min(high, Math.max(low, Math.floor((draws + 1) * (marked + 1) / (population + 2))));
+    const pmfMode = Math.exp(logChoose(marked, mode) + logChoose(population - marked, draws - mode)
+        - logChoose(population, draws));
+    // Ratios of neighbouring probabilities, P(k + 1) / P(k)
+    const up = k => (marked - k) * (draws - k) / ((k + 1) * (population - marked - draws + k + 1));
+
+    let target = random() - pmfMode;
+    let below = mode;
+    let above = mode;
+    let pmfBelow = pmfMode;
+    let pmfAbove = pmfMode;
+    while (target > 0 && (below > low || above < high)) {
+        if (above < high) {
+            pmfAbove *= up(above);
+            above++;
+            target -= pmfAbove;
+            if (target <= 0) return above;
+        }
+        if (below > low) {
+            pmfBelow /= up(below - 1);
+            below--;
+            target -= pmfBelow;
+            if (target <= 0) return below;
+        }
+    }
+    return mode;
+}
+
+/**
+ * Two-sided permutation test for a difference in means. Group labels are
+ * shuffled with d3.randomLcg, so the same seed gives the same p-value.
+ * @param {Array} a - Values of the first group; non-finite values are ignored
+ * @param {Array} b - Values of the second group; non-finite values are ignored
+ * @param {Object} options - Test options
+ * @param {number} options.resamples - Number of permutations (default 10000)
+ * @param {number} options.seed - Seed for the shuffles
+ * @param {Function} options.random - Uniform [0, 1) generator; overrides seed
+ * @param {Array} options.weights - Optional frequency weights of each group,
+ *     [weightsA, weightsB]. Each permutation then draws how many of every
+ *     value's observations go to the first group, instead of shuffling them.
+ * @returns {Object} Object with statistic (mean difference a - b), p and
+ *     effectSize (Cohen's d)
+ */
+export function permutationTest(a, b, options = {}) {
+    const { resamples = 10000, seed = 12345, random = d3.randomLcg(seed) } = options;
+    const [weightsA, weightsB] = groupWeights(options);
+    if (weightsA || weightsB) {
+        return weightedPermutationTest(countedSample(a, weightsA), countedSample(b, weightsB), resamples, random);
+    }
+    const xa = cleanValues(a).values;
+    const xb = cleanValues(b).values;
+    const sa = calculateStats(xa);
+    const sb = calculateStats(xb);
+    const observed = sa.mean - sb.mean;
+    if (xa.length === 0 || xb.length === 0) {
+        return { statistic: NaN, p: NaN, effectSize: NaN };
+    }
+
+    const pooled = [...xa, ...xb];
+    const total = pooled.reduce((sum, value) => sum + value, 0);
+    const na = xa.length;
+    const nb = xb.length;
+    let extreme = 0;
+    for (let r = 0; r < resamples; r++) {
+        // Partial Fisher-Yates shuffle: only the first group's draw matters
+        let sumA = 0;
+        for (let i = 0; i < na; i++) {
+            const j = i + Math.floor(random() * (pooled.length - i));
+            [pooled[i], pooled[j]] = [pooled[j], pooled[i]];
+            sumA += pooled[i];
+        }
+        const difference = sumA / na - (total - sumA) / nb;
+        if (Math.abs(difference) >= Math.abs(observed) - FUZZ * Math.abs(observed)) extreme++;
+    }
+    return {
+        statistic: observed,
+        p: (extreme + 1) / (resamples + 1),
+        effectSize: cohensD(sa, sb)
+    };
+}
+
+/**
+ * Permutation test on counted values. Sending na of the pooled observations
+ * to the first group at random gives each value a hypergeometric share of
+ * its count, drawn value by value, so the observations are never expanded.
+ * @param {Object} sa - Values and whole-count weights of the first group
+ * @param {Object} sb - Values and whole-count weights of the second group
+ * @param {number} resamples - Number of permutations
+ * @param {Function} random - Uniform [0, 1) generator
+ * @returns {Object} Object with statistic, p and effectSize, as for permutationTest
+ */
+function weightedPermutationTest(sa, sb, resamples, random) {
+    const statsA = calculateStats(sa.values, { weights: sa.weights, weightType: 'frequency' });
+    const statsB = calculateStats(sb.values, { weights: sb.weights, weightType: 'frequency' });
+    const observed = statsA.mean - statsB.mean;
+    const na = statsA.totalWeight;
+    const nb = statsB.totalWeight;
+    if (na === 0 || nb === 0) {
+        return { statistic: NaN, p: NaN, effectSize: NaN };
+    }
+
+    const values = [...sa.values, ...sb.values];
+    const counts = [...sa.weights, ...sb.weights];
+    const total = values.reduce((sum, value, i) => sum + value * counts[i], 0);
+    let extreme = 0;
+    for (let r = 0; r < resamples; r++) {
+        let population = na + nb;
+        let draws = na;
+        let sumA = 0;
+        for (let i = 0; i < values.length && draws > 0; i++) {
+            const taken = hypergeometric(population, counts[i], draws, random);
+            sumA += taken * values[i];
+            population -= counts[i];
+            draws -= taken;
+        }
+        const difference = sumA / na - (total - sumA) / nb;
+        if (Math.abs(difference) >= Math.abs(observed) - FUZZ * Math.abs(observed)) extreme++;
+    }
+    return {
+        statistic: observed,
+        p: (extreme + 1) / (resamples + 1),
+        effectSize: cohensD(statsA, statsB)
+    };
+}
+
+/**
+ * Adjust p-values for multiple comparisons
+ * @param {number[]} pValues - Unadjusted p-values; NaN entries stay NaN and are not counted
+ * @param {string} method - 'holm' (default), 'bonferroni', 'bh' (Benjamini-Hochberg) or 'none'
+ * @returns {number[]} Adjusted p-values, in the input order
+ */
+export function adjustPValues(pValues, method = 'holm') {
+    const adjusted = pValues.map(() => NaN);
+    const order = pValues.map((p, i) => i).filter(i => Number.isFinite(pValues[i]))
+        .sort((i, j) => pValues[i] - pValues[j]);
+    const m = order.length;
+
+    if (method === 'none') {
+        order.forEach(i => { adjusted[i] = pValues[i]; });
+    } else if (method === 'bonferroni') {
+        order.forEach(i => { adjusted[i] = Math.min(1, pValues[i] * m); });
+    } else if (method === 'holm') {
+        let running = 0;
+        order.forEach((i, k) => {
+            running = Math.max(running, Math.min(1, (m - k) * pValues[i]));
+            adjusted[i] = running;
+        });
+    } else if (method === 'bh') {
+        let running = 1;
+        for (let k = m - 1; k >= 0; k--) {
+            const i = order[k];
+            running = Math.min(running, m / (k + 1) * pValues[i]);
+            adjusted[i] = running;
+        }
+    } else {
+        throw new Error(`Unknown correction "${method}"; use "holm", "bonferroni", "bh" or "none"`);
+    }
+    return adjusted;
+}
+
+// Two-sample tests available to compareGroups
+const TESTS = {
+    welch: (a, b, options) => welchTTest(a, b, options),
+    mannwhitney: (a, b, options) => mannWhitneyU(a, b, options),
+    permutation: (a, b, options) => permutationTest(a, b, options)
+};
+
+/**
+ * Compare groups pairwise, or each against a reference group, and adjust the
+ * p-values for the number of comparisons
+ * @param {Array} groups - Objects with category, values and optional weights:
+ *     frequency weights, one whole count per value, which test each value as
+ *     that many observations
+ * @param {Object} options - Comparison options
+ * @param {string} options.test - 'welch' (default), 'mannwhitney' or 'permutation'
+ * @param {*} options.reference - Compare every group against this category instead of all pairs
+ * @param {string} options.correction - Multiple-comparison correction (see adjustPValues)
+ * @param {number} options.alpha - Significance level for the significant flag (default 0.05)
+ * @param {number} options.resamples - Permutations per comparison (permutation test)
+ * @param {number} options.seed - Base seed; each comparison gets its own seed
+ * @returns {Array} Rows with groupA, groupB, nA, nB, test, statistic, p,
+ *     pAdjusted, effectSize, significant and any test-specific fields (df, z,
+ *     meanDifference)
+ */
+export function compareGroups(groups, options = {}) {
+    const {
+        test = 'welch',
+        reference = null,
+        correction = 'holm',
+        alpha = 0.05,
+        resamples = 10000,
+        seed = 12345
+    } = options;
+    if (!Object.hasOwn(TESTS, test)) {
+        throw new Error(`Unknown test "${test}"; use ${Object.keys(TESTS).join(', ')}`);
+    }
+    const run = TESTS[test];
+    const samples = new Map(groups.map(group => [group, countedSample(group.values, group.weights ?? null)]));
+    const sizeOf = group => samples.get(group).weights.reduce((sum, w) => sum + w, 0);
+
+    const pairs = [];
+    if (reference != null) {
+        const base = groups.find(group => group.category === reference);
+        if (!base) throw new Error(`Reference group "${reference}" not found`);
+        groups.forEach(group => {
+            if (group !== base) pairs.push([base, group]);
+        });
+    } else {
+        groups.forEach((a, i) => groups.slice(i + 1).forEach(b => pairs.push([a, b])));
+    }
+
+    // Seed each comparison the way the bootstrap seeds each category
+    const rows = pairs.map(([a, b], k) => ({
+        groupA: a.category,
+        groupB: b.category,
+        nA: sizeOf(a),
+        nB: sizeOf(b),
+        test,
+        ...run(samples.get(a).values, samples.get(b).values, {
+            resamples,
+            seed: seed + k * 1000,
+            weights: [a.weights ? samples.get(a).weights : null, b.weights ? samples.get(b).weights : null]
+        })
+    }));
+    const adjusted = adjustPValues(rows.map(row => row.p), correction);
+    return rows.map((row, i) => ({
+        ...row,
+        pAdjusted: adjusted[i],
+        significant: adjusted[i] < alpha
+    }));
+}
+
+export default {
+    calculateStats,
+    tukeyWhiskers,
+    detectOutliers,
+    meanConfidenceInterval,
+    bootstrapConfidenceInterval,
+    kernelBandwidth,
+    kernelDensity,
+    welchTTest,
+    mannWhitneyU,
+    permutationTest,
+    adjustPValues,
+    compareGroups,
+    normalCdf,
+    studentTCdf,
+    studentTQuantile,
+    quantile,
+    quantileSorted,
+    weightedQuantileSorted,
+    cleanValues,
+    WEIGHT_TYPES,
+    resolveWeightType
+};
@@ -0,0 +1,171 @@
+/**
+ * Alphaswarm Charts - Transitions
+ *
+ * Animates a freshly rendered chart from the one it replaces. Marks tagged
+ * with a data-key attribute are matched across the two renders: matched
+ * points and rules move from their old positions, new ones fade in and
+ * removed ones fade out.
+ */
+
+import * as d3 from 'd3';
+
+export const KEY_ATTRIBUTE = 'data-key';
+
+// Presentation attributes Plot sets on a mark's group rather than on each element
+const INHERITED_ATTRIBUTES = ['fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray'];
+
+/**
+ * Find the main chart SVG, unwrapping the figure Plot produces for titles and legends
+ * @param {Element} element - Chart element
+ * @returns {Element} The chart's own SVG element
+ */
+export function chartSvg(element) {
+    if (element.tagName.toLowerCase() === 'svg') return element;
+    return [...element.children].filter(child => child.tagName.toLowerCase() === 'svg').pop();
+}
+
+/**
+ * Read the translation of an element's transform attribute
+ * @param {Element} element - SVG element
+ * @returns {Object} Object with x and y
+ */
+function translation(element) {
+    const match = /translate\(\s*([-\d.e]+)[\s,]*([-\d.e]+)?\s*\)/.exec(element.getAttribute('transform') || '');
+    return match ? { x: +match[1], y: +(match[2] ?? 0) } : { x: 0, y: 0 };
+}
+
+/**
+ * Sum the translations of an element's ancestors, up to the chart SVG
+ * @param {Element} element - SVG element
+ * @param {Element} root - Chart SVG element
+ * @returns {Object} Object with x and y
+ */
+function offsetOf(element, root) {
+    const offset = { x: 0, y: 0 };
+    for (let node = element.parentNode; node && node !== root; node = node.parentNode) {
+        const { x, y } = translation(node);
+        offset.x += x;
+        offset.y += y;
+    }
+    return offset;
+}
+
+/**
+ * Positional attributes of a keyed element, in chart coordinates
+ * @param {Element} element - Keyed SVG element
+ * @param {Element} root - Chart SVG element
+ * @returns {Object} Map of attribute name to absolute value
+ */
+function absolutePosition(element, root) {
+    const offset = offsetOf(element, root);
+    const tag = element.tagName.toLowerCase();
+    if (tag === 'circle') {
+        return { cx: +element.getAttribute('cx') + offset.x, cy: +element.getAttribute('cy') + offset.y };
+    }
+    if (tag === 'line') {
+        return {
+            x1: +element.getAttribute('x1') + offset.x,
+            x2: +element.getAttribute('x2') + offset.x,
+            y1: +element.getAttribute('y1') + offset.y,
+            y2: +element.getAttribute('y2') + offset.y
+        };
+    }
+    // Symbols and labels are positioned with a transform
+    const { x, y } = translation(element);
+    return { transform: { x: x + offset.x, y: y + offset.y } };
+}
+
+/**
+ * Convert absolute positional attributes into values local to an element
+ * @param {Object} position - Absolute position from absolutePosition
+ * @param {Object} offset - Translation of the element's ancestors
+ * @returns {Object} Map of attribute name to attribute value
+ */
+function localAttributes(position, offset) {
+    const attributes = {};
+    Object.entries(position).forEach(([name, value]) => {
+        if (name === 'transform') {
+            attributes.transform = `translate(${value.x - offset.x},${value.y - offset.y})`;
+        } else {
+            attributes[name] = value - (name.startsWith('x') || name === 'cx' ? offset.x : offset.y);
+        }
+    });
+    return attributes;
+}
+
+/**
+ * Animate a new chart render from the previous one
+ * @param {Element} previous - Element of the previous render
+ * @param {Element} next - Element of the new render
+ * @param {Object} options - Transition options
+ * @param {number} options.duration - Duration in milliseconds (default 750)
+ */
+export function animateTransition(previous, next, options = {}) {
+    const { duration = 750 } = options;
+
+    // Faceted charts animate panel by panel
+    if (previous.panels && next.panels) {
+        const panels = new Map(previous.panels.map(panel => [panel.facet, panel.chart]));
+        next.panels.forEach(panel => {
+            if (panels.has(panel.facet)) animateTransition(panels.get(panel.facet), panel.chart, options);
+        });
+        return;
+    }
+
+    const oldRoot = chartSvg(previous);
+    const newRoot = chartSvg(next);
+    if (!oldRoot || !newRoot) return;
+
+    const oldElements = new Map();
+    oldRoot.querySelectorAll(`[${KEY_ATTRIBUTE}]`).forEach(element => {
+        oldElements.set(element.getAttribute(KEY_ATTRIBUTE), element);
+    });
+
+    const transition = d3.transition().duration(duration).ease(d3.easeCubicInOut);
+
+    newRoot.querySelectorAll(`[${KEY_ATTRIBUTE}]`).forEach(element => {
+        const key = element.getAttribute(KEY_ATTRIBUTE);
+        const old = oldElements.get(key);
+        const selection = d3.select(element);
+
+        if (!old) {
+            // Entering: fade in
+            selection.attr('opacity', 0).transition(transition).attr('opacity', 1);
+            return;
+        }
+        oldElements.delete(key);
+
+        // Matched: start at the old position, then move to the new one
+        const start = localAttributes(absolutePosition(old, oldRoot), offsetOf(element, newRoot));
+        const animated = selection.transition(transition);
+        Object.entries(start).forEach(([name, value]) => {
+            const end = element.getAttribute(name);
+            if (end == null) return;
+            element.setAttribute(name, value);
+            animated.attr(name, end);
+        });
+    });
+
+    // Exiting: copy the old elements into the new chart and fade them out
+    if (oldElements.size > 0) {
+        const layer = d3.select(newRoot).append('g').attr('aria-hidden', 'true');
+        oldElements.forEach(old => {
+            const clone = old.cloneNode(true);
+            clone.removeAttribute(KEY_ATTRIBUTE);
+            INHERITED_ATTRIBUTES.forEach(name => {
+                const source = old.closest(`[${name}]`);
+                if (source && !clone.hasAttribute(name)) clone.setAttribute(name, source.getAttribute(name));
+            });
+            Object.entries(localAttributes(absolutePosition(old, oldRoot), { x: 0, y: 0 }))
+                .forEach(([name, value]) => clone.setAttribute(name, value));
+            layer.node().appendChild(clone);
+        });
+        layer.transition(transition).attr('opacity', 0).remove();
+    }
+}
+
+export default {
+    animateTransition,
+    chartSvg,
+    KEY_ATTRIBUTE
+};
@@ -0,0 +1,265 @@
+/**
+ * Alphaswarm Charts - Data Validation
+ *
+ * Checks chart data before anything is drawn: that the named fields exist,
+ * that values, weights and sizes are finite numbers, that every record has a
+ * category, dated when categories are binned by time, and, when asked, that
+ * there are not too many categories to draw. Problems raise an
+ * AlphaswarmDataError naming the field and the offending rows; in lenient
+ * mode the bad rows are dropped and reported instead.
+ */
+
+export const VALIDATION_MODES = ['strict', 'lenient', 'off'];
+
+// Rows listed in an error message before the rest are summarized
+const LISTED_ROWS = 5;
+
+const NUMERIC_TEXT = /^\s*[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?\s*$/i;
+
+/**
+ * Error raised for chart data that cannot be drawn
+ */
+export class AlphaswarmDataError extends Error {
+    /**
+     * @param {string} message - Description of the problem
+     * @param {Object} details - Problem details
+     * @param {string} details.reason - 'empty', 'not-an-object', 'missing-field',
+     *     'non-numeric', 'missing-value', 'non-finite', 'negative', 'missing-category',
+     *     'invalid-date' or 'too-many-categories'
+     * @param {string|null} details.field - Offending field, when there is one
+     * @param {number[]} details.rows - Indices of the offending records
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'AlphaswarmDataError';
+        this.reason = details.reason ?? null;
+        this.field = details.field ?? null;
+        this.rows = details.rows ?? [];
+    }
+}
+
+/**
+ * Describe a list of row indices, abbreviating long lists
+ * @param {number[]} rows - Row indices
+ * @returns {string} Description such as "rows 3, 8 and 12 more"
+ */
+function describeRows(rows) {
+    const listed = rows.slice(0, LISTED_ROWS).join(', ');
+    const rest = rows.length - LISTED_ROWS;
+    const noun = rows.length === 1 ? 'row' : 'rows';
+    return rest > 0 ? `${noun} ${listed} and ${rest} more` : `${noun} ${listed}`;
+}
+
+/**
+ * Name a field in messages; accessor functions have no name to give
+ * @param {string|Function} field - Field name or accessor
+ * @returns {string} Quoted field name, or "accessor"
+ */
+function fieldName(field) {
+    return typeof field === 'function' ? 'accessor' : `"${field}"`;
+}
+
+/**
+ * Check that a named field exists on at least one record, suggesting
+ * near matches when it does not
+ * @param {Array} data - Array of data objects
+ * @param {string} option - Chart option naming the field
+ * @param {string|Function} field - Field name or accessor
+ */
+function checkFieldExists(data, option, field) {
+    if (typeof field !== 'string') return;
+    if (data.some(d => d != null && typeof d === 'object' && field in d)) return;
+    const available = [...new Set(data.slice(0, 100).flatMap(d => (d != null && typeof d === 'object' ? Object.keys(d) : [])))];
+    const near = available.find(name => name.toLowerCase() === field.toLowerCase());
+    const hint = near ? ` Did you mean "${near}"?` : available.length > 0 ? ` Available fields: ${available.join(', ')}.` : '';
+    throw new AlphaswarmDataError(`${option} field "${field}" is not present in the data.${hint}`, {
+        reason: 'missing-field',
+        field
+    });
+}
+
+/**
+ * Find what is wrong with a value that must be a number
+ * @param {*} value - Value read from a record
+ * @param {Object} rules - Checks beyond being a finite number
+ * @param {boolean} rules.required - Whether a missing value is a problem (default true)
+ * @param {boolean} rules.nonNegative - Whether negative numbers are a problem
+ * @returns {string|null} Reason, or null when the value is usable
+ */
+function numericProblem(value, rules = {}) {
+    if (value == null) return rules.required === false ? null : 'missing-value';
+    if (typeof value !== 'number') return 'non-numeric';
+    if (!Number.isFinite(value)) return 'non-finite';
+    if (rules.nonNegative && value < 0) return 'negative';
+    return null;
+}
+
+/**
+ * Find what is wrong with a category, which must be a date when categories
+ * are binned by time
+ * @param {*} value - Category read from a record
+ * @param {boolean} timeCategories - Whether the category must be a date
+ * @returns {string|null} Reason, or null when the category is usable
+ */
+function categoryProblem(value, timeCategories) {
+    if (value == null) return 'missing-category';
+    if (!timeCategories) return null;
+    // Dates are read the way timeBin reads them
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date) ? 'invalid-date' : null;
+}
+
+/**
+ * Validate chart data. Strict mode throws an AlphaswarmDataError for the first
+ * kind of problem found, listing every row that has it. Lenient mode drops
+ * rows with problems and reports them; field and cardinality problems still
+ * throw because dropping rows cannot fix them.
+ * @param {Array} data - Array of data objects
+ * @param {Object} options - Validation options
+ * @param {string} options.mode - 'strict' (default), 'lenient' or 'off'
+ * @param {string|Function} options.valueField - Field or accessor of the numeric values
+ * @param {string|Function} options.categoryField - Field or accessor of the categories
+ * @param {string} options.valueOption - Chart option naming the value field, for messages (default 'x')
+ * @param {string} options.categoryOption - Chart option naming the category field, for messages (default 'y')
+ * @param {Object} options.fields - Other chart options naming fields (facet, color, ...);
+ *     only their existence is checked
+ * @param {Object} options.numericFields - Chart options naming other numeric fields, such
+ *     as weight and size, each { field, required, nonNegative } (see numericProblem);
+ *     their values are checked like the value field's
+ * @param {boolean} options.timeCategories - Categories are dates bucketed by timeBin;
+ *     records without a valid date are reported
+ * @param {number|null} options.categoryLimit - Maximum number of distinct categories; null (the default)
+ *     for no limit
+ * @returns {Object} Object with data (the usable records) and dropped
+ *     ({ row, option, field, value, reason } for each dropped record)
+ */
+export function validateData(data, options = {}) {
+    const {
+        mode = 'strict',
+        valueField = 'value',
+        categoryField = 'category',
+        valueOption = 'x',
+        categoryOption = 'y',
+        fields = {},
+        numericFields = {},
+        timeCategories = false,
+        categoryLimit = null
+    } = options;
+    if (!VALIDATION_MODES.includes(mode)) {
+        throw new Error(`Unknown validation "${mode}"; use ${VALIDATION_MODES.join(', ')}`);
+    }
+    if (!Array.isArray(data) || data.length === 0) {
+        throw new AlphaswarmDataError('Data must be a non-empty array', { reason: 'empty' });
+    }
+    if (mode === 'off') return { data, dropped: [] };
+
+    checkFieldExists(data, valueOption, valueField);
+    checkFieldExists(data, categoryOption, categoryField);
+    Object.entries(fields).forEach(([option, field]) => checkFieldExists(data, option, field));
+
+    const accessor = field => (typeof field === 'function' ? field : d => d[field]);
+    const categoryOf = accessor(categoryField);
+    // Numeric fields in the order they are checked, the value field first
+    const numeric = [
+        { option: valueOption, field: valueField },
+        ...Object.entries(numericFields)
+            .filter(([, spec]) => spec.field != null)
+            .map(([option, spec]) => ({ ...spec, option }))
+    ].map(spec => ({ ...spec, valueOf: accessor(spec.field) }));
+    const optionFields = Object.fromEntries(numeric.map(spec => [spec.option, spec.field]));
+    optionFields[categoryOption] = categoryField;
+    // Reports name fields; accessors have no name
+    const key = field => (typeof field === 'string' ? field : null);
+
+    // One problem per row, the first one found
+    const problems = [];
+    data.forEach((d, row) => {
+        if (d == null || typeof d !== 'object') {
+            problems.push({ row, option: null, field: null, value: d, reason: 'not-an-object' });
+            return;
+        }
+        for (const spec of numeric) {
+            const value = spec.valueOf(d);
+            const reason = numericProblem(value, spec);
+            if (reason) {
+                problems.push({ row, option: spec.option, field: key(spec.field), value, reason });
+                return;
+            }
+            // Records without a usable category are reported before their other numbers
+            const categoryReason = spec.option === valueOption && categoryProblem(categoryOf(d), timeCategories);
+            if (categoryReason) {
+                problems.push({
+                    row,
+                    option: categoryOption,
+                    field: key(categoryField),
+                    value: categoryOf(d),
+                    reason: categoryReason
+                });
+                return;
+            }
+        }
+    });
+
+    if (mode === 'strict' && problems.length > 0) {
+        const { reason, option, field, value: sample } = problems[0];
+        const rows = problems.filter(problem => problem.reason === reason && problem.option === option)
+            .map(problem => problem.row);
+        const where = describeRows(rows);
+        const name = option == null ? null : `${option} field ${fieldName(optionFields[option])}`;
+        let message;
+        if (reason === 'not-an-object') {
+            message = `Data must contain objects; found ${sample === null ? 'null' : typeof sample} in ${where}`;
+        } else if (reason === 'missing-value' || reason === 'missing-category') {
+            message = `${name} is missing in ${where}`;
+        } else if (reason === 'invalid-date') {
+            message = `${name} must hold dates to bin by time; found ${JSON.stringify(sample)} in ${where}`;
+        } else if (reason === 'non-numeric') {
+            message = `${name} must hold numbers; found ${typeof sample} values such as ${JSON.stringify(sample)} in ${where}`;
+            if (typeof sample === 'string' && NUMERIC_TEXT.test(sample)) {
+                message += '. Convert them to numbers, for example with loadData or coerceRows';
+            } else if (option === valueOption && data.every(d => d == null || typeof categoryOf(d) === 'number')) {
+                message += `. The ${categoryOption} field holds numbers; are ${valueOption} and ${categoryOption} swapped?`;
+            }
+        } else if (reason === 'non-finite') {
+            message = `${name} must hold finite numbers; found ${sample} in ${where}`;
+        } else {
+            message = `${name} must not be negative; found ${sample} in ${where}`;
+        }
+        const end = message.endsWith('?') ? '' : '.';
+        throw new AlphaswarmDataError(`${message}${end} Use validation: 'lenient' to drop these rows instead.`, {
+            reason,
+            field,
+            rows
+        });
+    }
+
+    const bad = new Set(problems.map(problem => problem.row));
+    const usable = bad.size === 0 ? data : data.filter((d, row) => !bad.has(row));
+    if (usable.length === 0) {
+        throw new AlphaswarmDataError(`No usable rows: all ${data.length} were dropped`, {
+            reason: 'empty',
+            field: key(valueField),
+            rows: [...bad]
+        });
+    }
+
+    if (!timeCategories && categoryLimit != null) {
+        const count = new Set(usable.map(categoryOf)).size;
+        if (count > categoryLimit) {
+            throw new AlphaswarmDataError(
+                `${categoryOption} field ${fieldName(categoryField)} has ${count} distinct categories, more than ` +
+                `categoryLimit (${categoryLimit}). Check that ${valueOption} and ${categoryOption} are not swapped, ` +
+                'or fold the smaller categories with maxCategories.',
+                { reason: 'too-many-categories', field: key(categoryField) }
+            );
+        }
+    }
+
+    return { data: usable, dropped: problems };
+}
+
+export default {
+    validateData,
+    AlphaswarmDataError,
+    VALIDATION_MODES
+};
@@ -0,0 +1,153 @@
+/**
+ * Smoke tests for chart features, rendered against jsdom
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as d3 from 'd3';
+import { JSDOM } from 'jsdom';
+import { createAlphaswarmChart, createVerticalAlphaswarmChart } from '../src/alphaswarm.js';
+
+const { document } = new JSDOM().window;
+
+const DATA = Array.from({ length: 60 }, (_, i) => ({
+    id: i,
+    category: ['Build', 'Test', 'Deploy'][i % 3],
+    value: 10 + (i * 7) % 23 + (i % 3) * 5,
+    weight: 1 + (i % 4) / 2,
+    runner: i % 2 ? 'linux' : 'macos'
+}));
+
+test('comparisons report ignored sampling weights on the chart', () => {
+    const options = { document, x: 'value', y: 'category', compare: true };
+    assert.deepEqual(createAlphaswarmChart(DATA, options).warnings, []);
+
+    const weighted = createAlphaswarmChart(DATA, { ...options, weight: 'weight' });
+    assert.equal(weighted.comparisons.length, 3);
+    assert.deepEqual(weighted.warnings, ['Comparisons ignore sampling weights; each value is tested once']);
+
+    const faceted = createAlphaswarmChart(DATA, { ...options, weight: 'weight', facet: 'runner' });
+    assert.deepEqual(faceted.warnings, weighted.warnings);
+});
+
+test('facet draws one panel per value of the facet field', () => {
+    const chart = createAlphaswarmChart(DATA, { document, x: 'value', y: 'category', facet: 'runner', facetColumns: 1 });
+    assert.deepEqual(chart.panels.map(panel => panel.facet), ['macos', 'linux']);
+    assert.deepEqual(chart.panels.map(panel => panel.chart.querySelectorAll('circle').length), [30, 30]);
+    // Every panel lists every category, with its own mean and median
+    chart.panels.forEach(panel => assert.equal(panel.chart.querySelectorAll('line[data-key^="median:"]').length, 3));
+    assert.equal(chart.points.length, DATA.length);
+    assert.equal(chart.stats.length, 6);
+});
+
+test('sort orders the categories and maxCategories folds the rest', () => {
+    /**
+     * Category labels along the band axis, top to bottom
+     * @param {Element} chart - Rendered chart
+     * @returns {string[]} Tick labels
+     */
+    const labels = chart => [...chart.querySelectorAll('g[aria-label="fy-axis tick label"] text')].map(text => text.textContent);
+
+    const sorted = createAlphaswarmChart(DATA, { document, x: 'value', y: 'category', sort: 'mean', sortOrder: 'descending' });
+    const means = sorted.stats.map(row => row.mean);
+    assert.deepEqual(means, [...means].sort((a, b) => b - a));
+    assert.deepEqual(labels(sorted), sorted.stats.map(row => row.category));
+
+    const many = DATA.map(d => ({ ...d, category: `${d.category}${d.id % 5}` }));
+    const folded = createAlphaswarmChart(many, { document, x: 'value', y: 'category', sort: 'count', maxCategories: 4 });
+    assert.equal(labels(folded).length, 4);
+    assert.equal(labels(folded)[3], 'Other');
+    assert.equal(d3.sum(folded.stats, row => row.count), many.length);
+    assert.equal(folded.querySelectorAll('circle').length, many.length);
+});
+
+test('pairBy links the records of each pair across categories', () => {
+    // Pairs of three records, one per stage; the last pair loses its Deploy record
+    const paired = DATA.slice(0, -1).map(d => ({ ...d, pair: Math.floor(d.id / 3) }));
+    const chart = createAlphaswarmChart(paired, { document, x: 'value', y: 'category', pairBy: 'pair' });
+    assert.equal(chart.querySelectorAll('line[data-key^="pair:"]').length, 20 + 19);
+    assert.deepEqual(chart.pairedDifferences.map(row => [row.from, row.to, row.count]), [
+        ['Build', 'Test', 20],
+        ['Test', 'Deploy', 19]
+    ]);
+    const [first] = chart.pairedDifferences;
+    assert.equal(first.increased + first.decreased + first.unchanged, first.count);
+});
+
+test('timeBin draws a swarm per week and trendLine connects them', () => {
+    const dated = DATA.map(d => ({ ...d, day: new Date(Date.UTC(2024, 2, 1 + (d.id % 20))) }));
+    const chart = createAlphaswarmChart(dated, { document, x: 'value', y: 'day', timeBin: 'week', trendLine: 'median' });
+    // 1 to 20 March 2024 touches the weeks starting 26 February, 4, 11 and 18 March
+    assert.deepEqual(chart.stats.map(row => new Date(row.category).toISOString().slice(0, 10)),
+        ['2024-02-26', '2024-03-04', '2024-03-11', '2024-03-18']);
+    assert.deepEqual([...chart.querySelectorAll('g[aria-label="fy-axis tick label"] text')].map(text => text.textContent),
+        ['Feb 26', 'Mar 4', 'Mar 11', 'Mar 18']);
+    assert.equal(chart.querySelectorAll('line[data-key^="trend:"]').length, 3);
+    assert.equal(chart.querySelectorAll('circle').length, dated.length);
+});
+
+test('showDensity draws one density shape per category', () => {
+    /**
+     * Paths of the density areas
+     * @param {Element} chart - Rendered chart
+     * @returns {Element[]} Area paths
+     */
+    const areas = chart => [...chart.querySelectorAll('g[aria-label="area"] path')];
+
+    const violin = createAlphaswarmChart(DATA, { document, x: 'value', y: 'category', showDensity: true });
+    assert.equal(areas(violin).length, 3);
+    assert.ok(areas(violin).every(path => path.getAttribute('d')?.length > 0));
+    assert.equal(areas(createAlphaswarmChart(DATA, { document, x: 'value', y: 'category' })).length, 0);
+
+    const ridge = createVerticalAlphaswarmChart(DATA, {
+        document,
+        x: 'category',
+        y: 'value',
+        showDensity: true,
+        densityStyle: 'ridge',
+        densityScale: 'category'
+    });
+    assert.equal(areas(ridge).length, 3);
+    assert.equal(ridge.querySelectorAll('circle').length, DATA.length);
+});
+
+test('renderer switches to a canvas above canvasThreshold', () => {
+    // jsdom has no canvas; a window with a stand-in 2D context lets the switch happen
+    const { window } = new JSDOM();
+    const fills = [];
+    window.CanvasRenderingContext2D = class {
+        scale() {}
+        translate() {}
+        beginPath() {}
+        rect() {}
+        clip() {}
+        arc() {}
+        moveTo() {}
+        lineTo() {}
+        closePath() {}
+        stroke() {}
+        fill() {
+            fills.push(this.fillStyle);
+        }
+    };
+    window.HTMLCanvasElement.prototype.getContext = () => new window.CanvasRenderingContext2D();
+    window.HTMLCanvasElement.prototype.toDataURL = () => 'data:image/png;base64,AAAA';
+    const options = { document: window.document, x: 'value', y: 'category', canvasThreshold: 50 };
+
+    const canvas = createAlphaswarmChart(DATA, options);
+    assert.equal(canvas.renderer, 'canvas');
+    assert.equal(canvas.querySelectorAll('circle').length, 0);
+    // One image per category band
+    assert.equal(canvas.querySelectorAll('image.alphaswarm-canvas').length, 3);
+    assert.equal(fills.length, DATA.length);
+
+    assert.equal(createAlphaswarmChart(DATA.slice(0, 50), options).renderer, 'svg');
+    // The default threshold is 10,000 points
+    const large = Array.from({ length: 10001 }, (_, i) => DATA[i % DATA.length]);
+    assert.equal(createAlphaswarmChart(large, { ...options, canvasThreshold: undefined }).renderer, 'canvas');
+    assert.equal(createAlphaswarmChart(DATA, { ...options, renderer: 'svg' }).renderer, 'svg');
+    assert.equal(createAlphaswarmChart(DATA, { ...options, selectable: true }).renderer, 'svg');
+    assert.equal(createAlphaswarmChart(DATA, { ...options, document, renderer: 'canvas' }).renderer, 'svg');
+    assert.throws(() => createAlphaswarmChart(DATA, { ...options, renderer: 'canvas', brush: true }), /Selection needs one element per point/);
+    assert.throws(() => createAlphaswarmChart(DATA, { ...options, renderer: 'webgl' }), /Unknown renderer "webgl"/);
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for the jitter layouts
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as d3 from 'd3';
+import { generateJitter } from '../src/alphaswarm.js';
+
+const BAND = 120;
+
+/**
+ * Generate clustered values, so that many points compete for the same spot
+ * @param {number} count - Number of values
+ * @param {number} seed - Seed of the generator
+ * @returns {number[]} Values from 0 to about 100
+ */
+function clusteredValues(count, seed = 3) {
+    const random = d3.randomNormal.source(d3.randomLcg(seed))(50, 8);
+    return Array.from({ length: count }, () => Math.round(random()));
+}
+
+/**
+ * Assert that no two points of a beeswarm layout overlap
+ * @param {number[]} offsets - Offsets in the [-1, 1] band domain
+ * @param {number[]} positions - Pixel positions along the value axis
+ * @param {number[]} radii - Radius of each point
+ */
+function assertNoOverlap(offsets, positions, radii) {
+    const halfBand = BAND / 2;
+    for (let i = 0; i < offsets.length; i++) {
+        for (let j = i + 1; j < offsets.length; j++) {
+            const distance = Math.hypot(positions[i] - positions[j], (offsets[i] - offsets[j]) * halfBand);
+            assert.ok(distance >= radii[i] + radii[j] - 1e-9,
+                `points ${i} and ${j} are ${distance} apart, closer than ${radii[i] + radii[j]}`);
+        }
+    }
+}
+
+test('beeswarm points keep at least two radii apart', () => {
+    const values = clusteredValues(150);
+    const valueScale = v => v * 5;
+    const offsets = generateJitter(values.length, 1, 'beeswarm', 12345, { values, radius: 3, valueScale, bandSize: BAND });
+    assert.deepEqual(offsets.overflow, []);
+    assert.ok(offsets.some(offset => offset !== 0));
+    assertNoOverlap(offsets, values.map(valueScale), values.map(() => 3));
+});
+
+test('beeswarm points of different sizes do not overlap', () => {
+    const values = clusteredValues(100, 8);
+    const valueScale = v => v * 5;
+    const radii = values.map((_, i) => 2 + (i % 4));
+    const offsets = generateJitter(values.length, 1, 'beeswarm', 12345, { values, radius: radii, valueScale, bandSize: BAND });
+    assert.deepEqual(offsets.overflow, []);
+    assertNoOverlap(offsets, values.map(valueScale), radii);
+});
+
+test('beeswarm layout is the same for the same input', () => {
+    const values = clusteredValues(200);
+    const layout = { values, radius: 2, valueScale: v => v * 4, bandSize: BAND };
+    const first = generateJitter(values.length, 0.8, 'beeswarm', 1, layout);
+    const second = generateJitter(values.length, 0.8, 'beeswarm', 99, { ...layout, values: values.slice() });
+    assert.deepEqual(second, first);
+    assert.deepEqual(second.overflow, first.overflow);
+});
+
+test('beeswarm reports the points that do not fit in the band', () => {
+    const values = new Array(40).fill(10);
+    const offsets = generateJitter(values.length, 0.5, 'beeswarm', 12345, { values, radius: 4, bandSize: BAND });
+    // Half of a 120px band holds 30px either side of the centre: 7 rows of 8px dots
+    assert.equal(offsets.length - offsets.overflow.length, 7);
+    offsets.overflow.forEach(i => assert.equal(Math.abs(offsets[i]), 0.5));
+});
+
+test('seeded random and uniform jitter repeat for the same seed', () => {
+    assert.deepEqual(generateJitter(50, 0.5, 'random', 7), generateJitter(50, 0.5, 'random', 7));
+    assert.notDeepEqual(generateJitter(50, 0.5, 'random', 7), generateJitter(50, 0.5, 'random', 8));
+    assert.deepEqual(generateJitter(50, 0.5, 'uniform', 7), generateJitter(50, 0.5, 'uniform', 7));
+});
@@ -0,0 +1,55 @@
+/**
+ * Tests for linked charts, rendered against jsdom
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { AlphaswarmChart, createAlphaswarmChart, linkCharts } from '../src/alphaswarm.js';
+
+const { document } = new JSDOM().window;
+
+const SERVICES = ['auth', 'search', 'billing', 'mail', 'files', 'queue'].map((service, i) => ({
+    service,
+    team: i % 2 ? 'core' : 'edge',
+    p50: 20 + i * 10,
+    p99: 200 + i * 150
+}));
+
+test('linkCharts gives stateful charts one value domain', () => {
+    const latency = new AlphaswarmChart(SERVICES, { document, x: 'p50', y: 'team' });
+    const tail = new AlphaswarmChart(SERVICES, { document, x: 'p99', y: 'team' });
+    const link = linkCharts([latency, tail], { key: 'service' });
+    assert.equal(link.domain[0], 0);
+    assert.ok(link.domain[1] >= 950);
+    assert.deepEqual(latency.options.xDomain, link.domain);
+    assert.deepEqual(tail.options.xDomain, link.domain);
+    assert.equal(latency.options.key, 'service');
+    link.unlink();
+});
+
+test('linkCharts refuses to share a domain with chart elements', () => {
+    const elements = ['p50', 'p99'].map(x => createAlphaswarmChart(SERVICES, { document, x, y: 'team', key: 'service' }));
+    assert.throws(() => linkCharts(elements, { key: 'service', sharedDomain: true }), /Can't share a domain with 2 chart elements/);
+    assert.throws(() => linkCharts(elements, { key: 'service', domain: [0, 1000] }), /Can't share a domain/);
+    const mixed = [new AlphaswarmChart(SERVICES, { document, x: 'p50', y: 'team' }), elements[0]];
+    assert.throws(() => linkCharts(mixed, { key: 'service', sharedDomain: true }), /Can't share a domain with 1 chart element,/);
+
+    const link = linkCharts(elements, { key: 'service' });
+    assert.equal(link.domain, null);
+    link.unlink();
+});
+
+test('linkCharts highlights a record in every chart', () => {
+    const elements = ['p50', 'p99'].map(x => createAlphaswarmChart(SERVICES, { document, x, y: 'team', key: 'service' }));
+    const link = linkCharts(elements, { key: 'service', highlightColor: 'red' });
+    const outlined = () => elements.map(element =>
+        [...element.querySelectorAll('[data-key^="dot:"]')].filter(dot => dot.style.stroke === 'red')
+            .map(dot => dot.getAttribute('data-key')));
+
+    link.highlight(['billing']);
+    assert.deepEqual(outlined(), [['dot:billing'], ['dot:billing']]);
+    link.highlight(null);
+    assert.deepEqual(outlined(), [[], []]);
+    link.unlink();
+});
@@ -0,0 +1,134 @@
+/**
+ * Loader tests against the fixtures, one file per format
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { tableFromIPC } from 'apache-arrow';
+import { JSDOM } from 'jsdom';
+import { loadData, coerceRows, inferSchema } from '../src/loaders.js';
+import { createAlphaswarmChart } from '../src/alphaswarm.js';
+import { AlphaswarmDataError } from '../src/validation.js';
+
+/**
+ * Read a fixture file
+ * @param {string} name - File name in test/fixtures
+ * @param {string} encoding - Text encoding, or omitted for bytes
+ * @returns {string|Buffer} File contents
+ */
+function fixture(name, encoding) {
+    return readFileSync(new URL(`./fixtures/${name}`, import.meta.url), encoding);
+}
+
+const SCHEMA = { stage: 'string', duration: 'number', started: 'date', passed: 'boolean' };
+const DURATIONS = [12.5, 14, null, 13, 30, 28.5, null, 31, 5, 4.75, 6, 5.5];
+
+/**
+ * Check the records every text fixture holds
+ * @param {Array} data - Loaded records
+ */
+function assertPipeline(data) {
+    assert.equal(data.length, 12);
+    assert.deepEqual(data.schema, SCHEMA);
+    assert.deepEqual(data.map(d => d.duration), DURATIONS);
+    assert.deepEqual(data[0].started, new Date('2024-03-01T00:00:00Z'));
+    assert.equal(data[0].stage, 'Build');
+    assert.equal(data[4].passed, false);
+}
+
+test('loadData reads CSV and reports values it cannot coerce', async () => {
+    const data = await loadData(fixture('pipeline.csv', 'utf8'));
+    assertPipeline(data);
+    assert.deepEqual(data.columns, ['stage', 'duration', 'started', 'passed']);
+    // "NA" is missing, not an error; "fast" is not a number
+    assert.deepEqual(data.errors, [
+        { row: 2, field: 'duration', value: 'fast', message: 'Expected number, got "fast"' }
+    ]);
+});
+
+test('loadData reads TSV', async () => {
+    const data = await loadData(fixture('pipeline.tsv', 'utf8'));
+    assertPipeline(data);
+    assert.equal(data.errors.length, 1);
+});
+
+test('loadData reads a JSON array', async () => {
+    const data = await loadData(fixture('pipeline.json', 'utf8'));
+    assertPipeline(data);
+    assert.deepEqual(data.errors.map(error => [error.row, error.value]), [[2, 'fast']]);
+});
+
+test('loadData reads NDJSON and reports lines that are not JSON', async () => {
+    const data = await loadData(fixture('pipeline.ndjson', 'utf8'));
+    assertPipeline(data);
+    assert.equal(data.errors.length, 2);
+    const [parseError, coerceError] = data.errors;
+    assert.equal(parseError.row, null);
+    assert.equal(parseError.line, 7);
+    assert.match(parseError.message, /^Invalid JSON/);
+    assert.equal(coerceError.value, 'fast');
+});
+
+test('loadData reads Arrow files, converting decimals to numbers', async () => {
+    const data = await loadData(new Uint8Array(fixture('pipeline.arrow')));
+    assert.deepEqual(data.schema, SCHEMA);
+    assert.deepEqual(data.map(d => d.duration), [12.5, 14, null, 13, 30, 28.5, null, 31, 5, 4.75, -6, 5.5]);
+    assert.deepEqual(data[2].started, new Date('2024-03-03T00:00:00Z'));
+    assert.equal(data[10].passed, false);
+    assert.deepEqual(data.errors, []);
+});
+
+test('loadData takes an Arrow table directly', async () => {
+    const table = tableFromIPC(fixture('pipeline.arrow'));
+    const data = await loadData(table);
+    assert.equal(data[9].duration, 4.75);
+});
+
+test('loadData detects the format of bytes and Blobs', async () => {
+    assertPipeline(await loadData(new TextEncoder().encode(fixture('pipeline.tsv', 'utf8'))));
+    const blob = new Blob([fixture('pipeline.ndjson', 'utf8')], { type: 'application/x-ndjson' });
+    assertPipeline(await loadData(blob));
+});
+
+test('loadData rejects unknown formats and inputs', async () => {
+    await assert.rejects(loadData('a,b', { format: 'xml' }), /Unknown format "xml"/);
+    await assert.rejects(loadData(42), /Unsupported input/);
+    await assert.rejects(loadData('{"a": 1}', { format: 'json' }), /array of records/);
+});
+
+test('coerceRows applies an explicit schema and drops invalid rows on request', () => {
+    const rows = [
+        { day: '01/03/2024', hours: '7.5' },
+        { day: '02/03/2024', hours: 'lots' },
+        { day: 'soon', hours: '6' }
+    ];
+    const data = coerceRows(rows, {
+        schema: { day: { type: 'date', format: '%d/%m/%Y' }, hours: 'number' },
+        dropInvalid: true
+    });
+    assert.equal(data.length, 1);
+    assert.deepEqual(data[0], { day: new Date('2024-03-01T00:00:00Z'), hours: 7.5 });
+    assert.deepEqual(data.errors.map(error => [error.row, error.field]), [[1, 'hours'], [2, 'day']]);
+    assert.throws(() => coerceRows(rows, { schema: { hours: 'integer' } }), /Unknown type "integer"/);
+});
+
+test('inferSchema needs most values to parse before choosing a type', () => {
+    const rows = [{ n: '1' }, { n: '2' }, { n: 'three' }, { n: '' }];
+    assert.deepEqual(inferSchema(rows), { n: 'string' });
+    assert.deepEqual(inferSchema(rows.slice(0, 2)), { n: 'number' });
+});
+
+test('loaded records with blank or invalid values are dropped by lenient validation', async () => {
+    const { document } = new JSDOM().window;
+    const data = await loadData(fixture('pipeline.csv', 'utf8'));
+    const options = { document, x: 'duration', y: 'stage' };
+    assert.throws(() => createAlphaswarmChart(data, options), error =>
+        error instanceof AlphaswarmDataError && error.reason === 'missing-value' && error.rows.join() === '2,6');
+
+    const chart = createAlphaswarmChart(data, { ...options, validation: 'lenient' });
+    assert.equal(chart.points.length, 10);
+    assert.deepEqual(chart.dropped.map(entry => [entry.row, entry.reason]), [[2, 'missing-value'], [6, 'missing-value']]);
+    // errors separates the value that failed to parse from the "NA" blank
+    assert.deepEqual(data.errors.map(error => error.row), [2]);
+});
@@ -0,0 +1,79 @@
+/**
+ * Headless rendering tests: charts drawn against jsdom, without globals
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { renderSvg, renderPng, createAlphaswarmChart, serializeChart } from '../src/alphaswarm.js';
+
+const { document } = new JSDOM().window;
+
+const DATA = Array.from({ length: 60 }, (_, i) => ({
+    category: ['Build', 'Test', 'Deploy'][i % 3],
+    value: 10 + (i * 7) % 23,
+    runner: i % 2 ? 'linux' : 'macos'
+}));
+
+/**
+ * Parse SVG markup back into a document
+ * @param {string} markup - SVG markup
+ * @returns {Element} Root svg element
+ */
+function parseSvg(markup) {
+    const parsed = new JSDOM(markup, { contentType: 'image/svg+xml' }).window.document;
+    return parsed.documentElement;
+}
+
+test('renderSvg draws a horizontal chart in Node', () => {
+    const markup = renderSvg(DATA, { document, x: 'value', y: 'category', title: 'Stage durations' });
+    assert.match(markup, /^<svg[^>]* xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+    const svg = parseSvg(markup);
+    assert.equal(svg.querySelectorAll('circle').length, DATA.length);
+    assert.ok([...svg.querySelectorAll('text')].some(text => text.textContent === 'Stage durations'));
+    assert.ok(Number(svg.getAttribute('width')) > 0 && Number(svg.getAttribute('height')) > 0);
+});
+
+test('renderSvg draws a vertical chart in Node', () => {
+    const markup = renderSvg(DATA, { document, orientation: 'vertical', x: 'category', y: 'value', background: 'white' });
+    const svg = parseSvg(markup);
+    assert.equal(svg.querySelectorAll('circle').length, DATA.length);
+    assert.equal(svg.querySelector('rect')?.getAttribute('fill'), 'white');
+    assert.deepEqual(
+        ['Build', 'Test', 'Deploy'].map(stage => [...svg.querySelectorAll('text')].some(text => text.textContent === stage)),
+        [true, true, true]
+    );
+});
+
+test('renderSvg lays out facet panels in one SVG', () => {
+    const markup = renderSvg(DATA, { document, x: 'value', y: 'category', facet: 'runner', title: 'By runner' });
+    const svg = parseSvg(markup);
+    assert.equal(svg.querySelectorAll('svg').length, 0);
+    assert.equal(svg.querySelectorAll('circle').length, DATA.length);
+    const texts = [...svg.querySelectorAll('text')].map(text => text.textContent);
+    assert.ok(texts.includes('linux') && texts.includes('macos'));
+});
+
+test('renderSvg gives the same markup for the same input', () => {
+    const options = { document, x: 'value', y: 'category', jitterMethod: 'beeswarm' };
+    assert.equal(renderSvg(DATA, options), renderSvg(DATA, options));
+});
+
+test('serializeChart and renderPng work on charts rendered against a document', async () => {
+    const chart = createAlphaswarmChart(DATA, { document, x: 'value', y: 'category' });
+    assert.equal(parseSvg(serializeChart(chart)).querySelectorAll('circle').length, DATA.length);
+    const calls = [];
+    const png = await renderPng(DATA, {
+        document,
+        x: 'value',
+        y: 'category',
+        pixelRatio: 2,
+        rasterize: (markup, size) => {
+            calls.push(size);
+            return `png:${markup.length}`;
+        }
+    });
+    assert.match(png, /^png:\d+$/);
+    assert.equal(calls[0].pixelRatio, 2);
+    assert.ok(calls[0].width > 0);
+});
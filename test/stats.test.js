@@ -0,0 +1,312 @@
+/**
+ * Known-value tests for the summary statistics
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    quantile,
+    calculateStats,
+    cleanValues,
+    detectOutliers,
+    tukeyWhiskers,
+    meanConfidenceInterval,
+    bootstrapConfidenceInterval,
+    welchTTest,
+    adjustPValues,
+    compareGroups,
+    mannWhitneyU,
+    permutationTest,
+    resolveWeightType
+} from '../src/stats.js';
+
+/**
+ * Assert that two numbers agree to a tolerance
+ * @param {number} actual - Computed value
+ * @param {number} expected - Known value
+ * @param {number} tolerance - Largest accepted difference
+ */
+function assertClose(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+}
+
+const ONE_TO_TEN = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+test('quantile types 1-9 match R at p = 0.25', () => {
+    // quantile(1:10, 0.25, type = 1:9) in R
+    const expected = [3, 3, 2, 2.5, 3, 2.75, 3.25, 35 / 12, 2.9375];
+    expected.forEach((value, i) => assertClose(quantile(ONE_TO_TEN, 0.25, i + 1), value));
+});
+
+test('quantile types 1-9 match R at p = 0.9', () => {
+    // quantile(1:10, 0.9, type = 1:9) in R
+    const expected = [9, 9.5, 9, 9, 9.5, 9.9, 9.1, 28.9 / 3, 9.6];
+    expected.forEach((value, i) => assertClose(quantile(ONE_TO_TEN, 0.9, i + 1), value));
+});
+
+test('quantile handles the ends, empty input and invalid types', () => {
+    assert.equal(quantile(ONE_TO_TEN, 0), 1);
+    assert.equal(quantile(ONE_TO_TEN, 1), 10);
+    assert.ok(Number.isNaN(quantile([], 0.5)));
+    assert.throws(() => quantile(ONE_TO_TEN, 0.5, 10), /integer from 1 to 9/);
+});
+
+test('calculateStats gives the textbook summary', () => {
+    const stats = calculateStats([2, 4, 4, 4, 5, 5, 7, 9]);
+    assert.equal(stats.count, 8);
+    assert.equal(stats.mean, 5);
+    assert.equal(stats.median, 4.5);
+    assert.equal(stats.min, 2);
+    assert.equal(stats.max, 9);
+    assert.equal(stats.q1, 4);
+    assert.equal(stats.q3, 5.5);
+    assert.equal(stats.iqr, 1.5);
+    assert.equal(stats.mad, 0.5);
+    assertClose(stats.variance, 32 / 7);
+    assertClose(stats.stdDev, Math.sqrt(32 / 7));
+    assertClose(stats.stdError, Math.sqrt(32 / 7) / Math.sqrt(8));
+});
+
+test('calculateStats uses the quantile type and extra percentiles', () => {
+    const stats = calculateStats(ONE_TO_TEN, { quantileType: 6, percentiles: [90] });
+    assertClose(stats.q1, 2.75);
+    assertClose(stats.q3, 8.25);
+    assertClose(stats.percentiles[90], 9.9);
+});
+
+test('calculateStats drops missing and non-numeric values and counts them', () => {
+    const stats = calculateStats([1, null, undefined, NaN, Infinity, '', ' ', true, 'abc', '3', 5]);
+    assert.equal(stats.count, 3);
+    assert.equal(stats.dropped, 8);
+    assert.equal(stats.mean, 3);
+});
+
+test('blank strings and booleans are never read as numbers', () => {
+    assert.deepEqual(cleanValues(['', ' ', true, false, ' 2 ', 4]), { values: [2, 4], dropped: 4 });
+});
+
+test('calculateStats flags empty input', () => {
+    const stats = calculateStats([null, '']);
+    assert.equal(stats.empty, true);
+    assert.equal(stats.count, 0);
+    assert.equal(stats.dropped, 2);
+    assert.ok(Number.isNaN(stats.mean));
+});
+
+test('a single value has no variance', () => {
+    const stats = calculateStats([7]);
+    assert.equal(stats.mean, 7);
+    assert.ok(Number.isNaN(stats.variance));
+});
+
+test('detectOutliers flags values past each rule', () => {
+    const values = [10, 11, 12, 11, 10, 12, 11, 40];
+    assert.deepEqual(detectOutliers(values), [false, false, false, false, false, false, false, true]);
+    assert.equal(detectOutliers(values, { method: 'mad' }).filter(Boolean).length, 1);
+    assert.equal(detectOutliers(values, { method: 'zscore', threshold: 2 }).filter(Boolean).length, 1);
+});
+
+test('detectOutliers rejects unknown methods, including inherited names', () => {
+    assert.throws(() => detectOutliers([1, 2, 3], { method: 'toString' }), /Unknown outlier method/);
+    assert.throws(() => detectOutliers([1, 2, 3], { method: 'iqr' }), /Unknown outlier method/);
+});
+
+test('frequency weights match the expanded data', () => {
+    const weighted = calculateStats([1, 2, 3], { weights: [10, 10, 10] });
+    const expanded = calculateStats([1, 2, 3].flatMap(v => Array(10).fill(v)));
+    assert.equal(weighted.effectiveCount, 30);
+    assertClose(weighted.stdError, 0.1516196, 1e-6);
+    for (const field of ['mean', 'median', 'q1', 'q3', 'variance', 'stdDev', 'stdError', 'mad']) {
+        assertClose(weighted[field], expanded[field]);
+    }
+});
+
+test('frequency-weighted quantiles follow every quantile type', () => {
+    const values = [3, 1, 4, 1, 5];
+    const counts = [2, 1, 3, 2, 1];
+    const expanded = values.flatMap((v, i) => Array(counts[i]).fill(v));
+    for (let type = 1; type <= 9; type++) {
+        const weighted = calculateStats(values, { weights: counts, quantileType: type, percentiles: [10, 90] });
+        const plain = calculateStats(expanded, { quantileType: type, percentiles: [10, 90] });
+        for (const field of ['median', 'q1', 'q3', 'mad']) {
+            assertClose(weighted[field], plain[field]);
+        }
+        assertClose(weighted.percentiles[10], plain.percentiles[10]);
+        assertClose(weighted.percentiles[90], plain.percentiles[90]);
+    }
+});
+
+test('equal sampling weights match the unweighted results', () => {
+    for (let type = 1; type <= 9; type++) {
+        const weighted = calculateStats(ONE_TO_TEN, { weights: ONE_TO_TEN.map(() => 0.3), weightType: 'sampling', quantileType: type });
+        const plain = calculateStats(ONE_TO_TEN, { quantileType: type });
+        for (const field of ['mean', 'median', 'q1', 'q3', 'variance', 'stdError', 'mad']) {
+            assertClose(weighted[field], plain[field]);
+        }
+        assertClose(weighted.effectiveCount, 10);
+    }
+});
+
+test('sampling weights use the effective sample size', () => {
+    const stats = calculateStats([1, 2, 3], { weights: [1, 1, 2], weightType: 'sampling' });
+    assertClose(stats.mean, 2.25);
+    assertClose(stats.effectiveCount, 16 / 6);
+    // Reliability variance: Σw(x - mean)² / (W - Σw²/W)
+    assertClose(stats.variance, 2.75 / (4 - 6 / 4));
+});
+
+test('frequency weights must be whole counts and weight types must be known', () => {
+    assert.throws(() => calculateStats([1, 2], { weights: [1.5, 1], weightType: 'frequency' }), /whole counts/);
+    assert.throws(() => bootstrapConfidenceInterval([1, 2], { weights: [1.5, 1], weightType: 'frequency' }), /whole counts/);
+    assert.throws(() => calculateStats([1, 2], { weights: [1, 1], weightType: 'counts' }), /Unknown weightType/);
+});
+
+test('weights are read as counts only when every weight is whole', () => {
+    assert.equal(resolveWeightType('auto', [2, 0, null, 5]), 'frequency');
+    assert.equal(resolveWeightType('auto', [2, 0.5]), 'sampling');
+    assert.equal(resolveWeightType('sampling', [2, 5]), 'sampling');
+    const survey = calculateStats([1, 2, 3], { weights: [1, 1, 2.0001] });
+    assertClose(survey.effectiveCount, calculateStats([1, 2, 3], { weights: [1, 1, 2.0001], weightType: 'sampling' }).effectiveCount);
+    assert.equal(calculateStats([1, 2, 3], { weights: [10, 10, 10] }).effectiveCount, 30);
+});
+
+test('bootstrap resamples large counts without expanding them', () => {
+    const values = [1, 2, 3, 4, 5];
+    const counts = [2e6, 3e6, 4e6, 3e6, 2e6];
+    const interval = bootstrapConfidenceInterval(values, { weights: counts, resamples: 200 });
+    assert.equal(interval.low, 3);
+    assert.equal(interval.high, 3);
+    const repeat = bootstrapConfidenceInterval(values, { weights: counts, resamples: 200 });
+    assert.deepEqual(repeat, interval);
+});
+
+test('frequency-weighted bootstrap agrees with the expanded data', () => {
+    const values = [1, 2, 3, 5, 8, 13];
+    const counts = [3, 5, 2, 4, 1, 2];
+    const expanded = values.flatMap((v, i) => Array(counts[i]).fill(v));
+    const mean = sorted => sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+    const weightedMean = (sorted, weights) =>
+        sorted.reduce((sum, v, i) => sum + v * weights[i], 0) / weights.reduce((sum, w) => sum + w, 0);
+    const weighted = bootstrapConfidenceInterval(values, { weights: counts, statistic: weightedMean, resamples: 4000 });
+    const plain = bootstrapConfidenceInterval(expanded, { statistic: mean, resamples: 4000 });
+    assertClose(weighted.low, plain.low, 0.25);
+    assertClose(weighted.high, plain.high, 0.25);
+});
+
+test('weighted mean interval uses the total count for frequency weights', () => {
+    const weighted = meanConfidenceInterval([1, 2, 3], { weights: [10, 10, 10] });
+    const expanded = meanConfidenceInterval([1, 2, 3].flatMap(v => Array(10).fill(v)));
+    assertClose(weighted.low, expanded.low);
+    assertClose(weighted.high, expanded.high);
+});
+
+test('tukeyWhiskers leaves out values the weighted statistics drop', () => {
+    const values = [1, 2, 3, 4, 100];
+    const weights = [1, 1, 1, 1, 0];
+    const stats = calculateStats(values, { weights });
+    const whiskers = tukeyWhiskers(values, stats, 1.5, weights);
+    assert.equal(whiskers.whiskerHigh, 4);
+    assert.equal(whiskers.whiskerLow, 1);
+});
+
+test('adjustPValues matches R p.adjust', () => {
+    const p = [0.01, 0.04, 0.03, 0.005];
+    // p.adjust(c(0.01, 0.04, 0.03, 0.005), method) in R
+    adjustPValues(p, 'holm').forEach((value, i) => assertClose(value, [0.03, 0.06, 0.06, 0.02][i]));
+    adjustPValues(p, 'bonferroni').forEach((value, i) => assertClose(value, [0.04, 0.16, 0.12, 0.02][i]));
+    adjustPValues(p, 'bh').forEach((value, i) => assertClose(value, [0.02, 0.04, 0.04, 0.02][i]));
+    assert.deepEqual(adjustPValues(p, 'none'), p);
+});
+
+test('adjustPValues skips NaN p-values and rejects unknown corrections', () => {
+    const adjusted = adjustPValues([0.01, NaN, 0.02], 'bonferroni');
+    assertClose(adjusted[0], 0.02);
+    assert.ok(Number.isNaN(adjusted[1]));
+    assertClose(adjusted[2], 0.04);
+    assert.throws(() => adjustPValues([0.01], 'sidak'), /Unknown correction/);
+});
+
+const GROUPS = [
+    { category: 'a', values: [1, 2, 3, 4, 5] },
+    { category: 'b', values: [2, 4, 6, 8, 10] },
+    { category: 'c', values: [3, 3, 4, 5, 9] }
+];
+
+test('welchTTest matches R t.test', () => {
+    // t.test(1:5, c(2, 4, 6, 8, 10)): t = -1.8974, df = 5.8824, p-value = 0.1075
+    const result = welchTTest(GROUPS[0].values, GROUPS[1].values);
+    assertClose(result.statistic, -3 / Math.sqrt(2.5));
+    assertClose(result.df, 100 / 17);
+    assertClose(result.p, 0.1075, 1e-4);
+    assert.equal(result.meanDifference, -3);
+});
+
+test('compareGroups tests every pair and adjusts the p-values', () => {
+    const rows = compareGroups(GROUPS);
+    assert.deepEqual(rows.map(row => [row.groupA, row.groupB]), [['a', 'b'], ['a', 'c'], ['b', 'c']]);
+    const adjusted = adjustPValues(rows.map(row => row.p), 'holm');
+    rows.forEach((row, i) => {
+        assert.equal(row.test, 'welch');
+        assert.equal(row.nA, 5);
+        assertClose(row.pAdjusted, adjusted[i]);
+        assert.equal(row.significant, row.pAdjusted < 0.05);
+    });
+});
+
+test('compareGroups compares against a reference group', () => {
+    const rows = compareGroups(GROUPS, { reference: 'c', test: 'mannwhitney', correction: 'none' });
+    assert.deepEqual(rows.map(row => [row.groupA, row.groupB]), [['c', 'a'], ['c', 'b']]);
+    rows.forEach(row => assert.equal(row.pAdjusted, row.p));
+    assert.throws(() => compareGroups(GROUPS, { reference: 'z' }), /not found/);
+});
+
+test('compareGroups gives the same permutation p-values for the same seed', () => {
+    const options = { test: 'permutation', resamples: 500, seed: 7 };
+    assert.deepEqual(compareGroups(GROUPS, options), compareGroups(GROUPS, options));
+});
+
+test('compareGroups rejects unknown tests, including inherited names', () => {
+    assert.throws(() => compareGroups(GROUPS, { test: 'ttest' }), /Unknown test/);
+    assert.throws(() => compareGroups(GROUPS, { test: 'constructor' }), /Unknown test/);
+});
+
+test('compareGroups tests frequency-weighted values as repeated observations', () => {
+    const weighted = compareGroups([
+        { category: 'a', values: [1, 2, 3], weights: [2, 1, 3] },
+        { category: 'b', values: [4, 5], weights: [1, 4] }
+    ]);
+    const expanded = compareGroups([
+        { category: 'a', values: [1, 1, 2, 3, 3, 3] },
+        { category: 'b', values: [4, 5, 5, 5, 5] }
+    ]);
+    assert.deepEqual(weighted, expanded);
+    assert.equal(weighted[0].nA, 6);
+    assert.throws(() => compareGroups([
+        { category: 'a', values: [1, 2], weights: [0.5, 1] },
+        { category: 'b', values: [3, 4] }
+    ]), /whole counts/);
+});
+
+test('counted Mann-Whitney and permutation tests match the expanded data', () => {
+    const a = { values: [1, 2, 3, 3.5], weights: [3, 1, 4, 2] };
+    const b = { values: [2, 3, 4, 6], weights: [2, 2, 1, 5] };
+    const expand = group => group.values.flatMap((v, i) => Array(group.weights[i]).fill(v));
+    const weights = [a.weights, b.weights];
+    assert.deepEqual(mannWhitneyU(a.values, b.values, { weights }), mannWhitneyU(expand(a), expand(b)));
+    const counted = permutationTest(a.values, b.values, { weights, resamples: 4000 });
+    const shuffled = permutationTest(expand(a), expand(b), { resamples: 4000 });
+    assert.equal(counted.statistic, shuffled.statistic);
+    assertClose(counted.p, shuffled.p, 0.03);
+});
+
+test('comparisons of millions of counted observations stay small', () => {
+    const groups = [
+        { category: 'a', values: [10, 11, 12], weights: [4e6, 5e6, 3e6] },
+        { category: 'b', values: [10, 12, 13], weights: [2e6, 6e6, 4e6] }
+    ];
+    for (const test of ['welch', 'mannwhitney', 'permutation']) {
+        const [row] = compareGroups(groups, { test, resamples: 200 });
+        assert.equal(row.nA, 12e6);
+        assert.ok(row.p < 0.01, `${test} p = ${row.p}`);
+    }
+});
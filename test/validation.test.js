@@ -0,0 +1,182 @@
+/**
+ * Tests for the chart data checks
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateData, AlphaswarmDataError } from '../src/validation.js';
+
+const DATA = [
+    { category: 'a', value: 1, weight: 2, size: 10 },
+    { category: 'b', value: 2, weight: 1, size: 20 },
+    { category: 'a', value: 3, weight: 0, size: null }
+];
+
+/**
+ * Assert that validation throws an AlphaswarmDataError with the given details
+ * @param {Function} run - Runs the validation
+ * @param {Object} expected - Expected reason, field and rows, and a message pattern
+ */
+function assertDataError(run, expected) {
+    const { message, ...details } = expected;
+    assert.throws(run, error => {
+        assert.ok(error instanceof AlphaswarmDataError);
+        Object.entries(details).forEach(([name, value]) => assert.deepEqual(error[name], value));
+        if (message) assert.match(error.message, message);
+        return true;
+    });
+}
+
+test('validateData passes clean data through unchanged', () => {
+    const result = validateData(DATA);
+    assert.equal(result.data, DATA);
+    assert.deepEqual(result.dropped, []);
+});
+
+test('validateData rejects empty input and unknown modes', () => {
+    assertDataError(() => validateData([]), { reason: 'empty' });
+    assertDataError(() => validateData(null), { reason: 'empty' });
+    assert.throws(() => validateData(DATA, { mode: 'loose' }), /Unknown validation "loose"/);
+});
+
+test('validateData suggests near matches for missing fields', () => {
+    assertDataError(() => validateData(DATA, { valueField: 'Value' }), {
+        reason: 'missing-field',
+        field: 'Value',
+        message: /Did you mean "value"\?/
+    });
+    assertDataError(() => validateData(DATA, { fields: { color: 'team' } }), {
+        reason: 'missing-field',
+        message: /^color field "team" is not present in the data\. Available fields: category, value, weight, size\./
+    });
+});
+
+test('validateData lists every row with the first problem found', () => {
+    const data = [
+        { category: 'a', value: '1' },
+        { category: 'a', value: 2 },
+        { category: 'b', value: '3' },
+        { category: 'b', value: null }
+    ];
+    assertDataError(() => validateData(data), {
+        reason: 'non-numeric',
+        field: 'value',
+        rows: [0, 2],
+        message: /^x field "value" must hold numbers; found string values such as "1" in rows 0, 2\. Convert them/
+    });
+});
+
+test('validateData spots swapped value and category fields', () => {
+    const data = [{ category: 1, value: 'a' }, { category: 2, value: 'b' }];
+    assertDataError(() => validateData(data), { reason: 'non-numeric', message: /are x and y swapped\? Use validation/ });
+});
+
+test('validateData reports missing values, non-finite values and missing categories', () => {
+    assertDataError(() => validateData([{ category: 'a', value: 1 }, { category: 'a' }]), {
+        reason: 'missing-value',
+        rows: [1]
+    });
+    assertDataError(() => validateData([{ category: 'a', value: Infinity }]), { reason: 'non-finite', rows: [0] });
+    assertDataError(() => validateData([{ value: 1 }, { category: 'a', value: 2 }], { valueOption: 'y', categoryOption: 'x' }), {
+        reason: 'missing-category',
+        field: 'category',
+        message: /^x field "category" is missing in row 0\./
+    });
+    assertDataError(() => validateData([null, { category: 'a', value: 1 }]), { reason: 'not-an-object', rows: [0] });
+});
+
+test('validateData abbreviates long row lists', () => {
+    const data = Array.from({ length: 8 }, (_, i) => ({ category: 'a', value: String(i) }));
+    assertDataError(() => validateData(data), { message: /in rows 0, 1, 2, 3, 4 and 3 more\./ });
+});
+
+test('validateData checks weights and sizes as numbers', () => {
+    const numericFields = {
+        weight: { field: 'weight', nonNegative: true },
+        size: { field: 'size', required: false }
+    };
+    assert.deepEqual(validateData(DATA, { numericFields }).dropped, []);
+
+    const negative = DATA.map((d, i) => (i === 1 ? { ...d, weight: -1 } : d));
+    assertDataError(() => validateData(negative, { numericFields }), {
+        reason: 'negative',
+        field: 'weight',
+        rows: [1],
+        message: /^weight field "weight" must not be negative; found -1 in row 1\./
+    });
+
+    const text = DATA.map((d, i) => (i === 0 ? { ...d, weight: 'two', size: 'big' } : d));
+    assertDataError(() => validateData(text, { numericFields }), { reason: 'non-numeric', field: 'weight', rows: [0] });
+
+    const missingWeight = DATA.map((d, i) => (i === 2 ? { ...d, weight: null } : d));
+    assertDataError(() => validateData(missingWeight, { numericFields }), { reason: 'missing-value', field: 'weight' });
+
+    const badSize = DATA.map((d, i) => (i === 1 ? { ...d, size: '20px' } : d));
+    assertDataError(() => validateData(badSize, { numericFields }), { reason: 'non-numeric', field: 'size', rows: [1] });
+});
+
+test('lenient validation drops bad rows and reports them', () => {
+    const data = [
+        { category: 'a', value: 1, weight: 1 },
+        { category: 'a', value: 'x', weight: 1 },
+        { category: 'b', value: 2, weight: -3 },
+        { value: 3, weight: 1 }
+    ];
+    const { data: usable, dropped } = validateData(data, {
+        mode: 'lenient',
+        numericFields: { weight: { field: 'weight', nonNegative: true } }
+    });
+    assert.deepEqual(usable, [data[0]]);
+    assert.deepEqual(dropped, [
+        { row: 1, option: 'x', field: 'value', value: 'x', reason: 'non-numeric' },
+        { row: 2, option: 'weight', field: 'weight', value: -3, reason: 'negative' },
+        { row: 3, option: 'y', field: 'category', value: undefined, reason: 'missing-category' }
+    ]);
+    assertDataError(() => validateData([{ category: 'a', value: 'x' }], { mode: 'lenient' }), { reason: 'empty' });
+});
+
+test('validation off skips the row checks', () => {
+    const data = [{ category: 'a', value: 'x' }];
+    assert.deepEqual(validateData(data, { mode: 'off' }), { data, dropped: [] });
+});
+
+test('validateData accepts accessors', () => {
+    const data = [{ c: 'a', v: { n: 1 } }, { c: 'b', v: { n: 'two' } }];
+    assertDataError(() => validateData(data, { valueField: d => d.v.n, categoryField: d => d.c }), {
+        reason: 'non-numeric',
+        field: null,
+        message: /^x field accessor must hold numbers/
+    });
+});
+
+test('validateData limits the number of categories when asked', () => {
+    const data = Array.from({ length: 5 }, (_, i) => ({ category: `c${i}`, value: i }));
+    assertDataError(() => validateData(data, { categoryLimit: 4 }), {
+        reason: 'too-many-categories',
+        message: /has 5 distinct categories, more than categoryLimit \(4\)/
+    });
+    assert.equal(validateData(data).data, data);
+    const many = Array.from({ length: 500 }, (_, i) => ({ category: `c${i}`, value: i }));
+    assert.equal(validateData(many).data, many);
+    const dated = data.map((d, i) => ({ ...d, category: `2024-03-0${i + 1}` }));
+    assert.equal(validateData(dated, { categoryLimit: 4, timeCategories: true }).data, dated);
+});
+
+test('validateData reports records without a valid date under timeBin', () => {
+    const data = [
+        { category: '2024-03-01', value: 1 },
+        { category: new Date('2024-03-02'), value: 2 },
+        { category: 'soon', value: 3 },
+        { category: null, value: 4 },
+        { category: 'later', value: 5 }
+    ];
+    assertDataError(() => validateData(data, { timeCategories: true }), {
+        reason: 'invalid-date',
+        rows: [2, 4],
+        message: /^y field "category" must hold dates to bin by time; found "soon" in rows 2, 4\./
+    });
+    const { data: usable, dropped } = validateData(data, { mode: 'lenient', timeCategories: true });
+    assert.deepEqual(usable, data.slice(0, 2));
+    assert.deepEqual(dropped.map(problem => [problem.row, problem.reason]),
+        [[2, 'invalid-date'], [3, 'missing-category'], [4, 'invalid-date']]);
+});